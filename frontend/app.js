@@ -1,11 +1,49 @@
 // Use relative URLs in production (same origin), or env variable in development
 const API_URL = import.meta.env.VITE_API_URL || (import.meta.env.PROD ? '' : 'http://localhost:3000');
+// Files from this size up are sent in resumable chunks instead of a single request
+const RESUMABLE_THRESHOLD = 16 * 1024 * 1024;
+const MAX_CHUNK_RETRIES = 5;
+const DEFAULT_UPLOAD_CONCURRENCY = 3;
+// Shown as a hint; an empty template gets the server's default (RENAME_TEMPLATE)
+const DEFAULT_RENAME_TEMPLATE = '{date}_{topic}_{counter}.{ext}';
+// Codes the server sends with a 401 when the Google sign-in is missing or was revoked
+const SIGN_IN_ERROR_CODES = ['NOT_AUTHENTICATED', 'REAUTH_REQUIRED'];
 
 class GoogleDriveUploader {
   constructor() {
     this.isAuthenticated = false;
+    this.features = null; // What the granted Drive scopes allow (from /api/auth/status)
+    this.accounts = []; // Linked Google accounts
+    this.activeAccount = null; // Email of the account this tab works on
     this.uploadHistory = JSON.parse(localStorage.getItem('uploadHistory') || '[]');
     this.chatHistory = [];
+    this.chatAbortController = null; // Set while an AI reply is streaming
+    this.confirmActions = localStorage.getItem('confirmActions') === 'true';
+    this.allowNewFolder = localStorage.getItem('allowNewFolder') === 'true';
+    this.duplicateAction = localStorage.getItem('duplicateAction') || 'ask';
+    this.newVersion = localStorage.getItem('newVersion') === 'true';
+    this.renameFiles = localStorage.getItem('renameFiles') === 'true';
+    this.renameTemplate = localStorage.getItem('renameTemplate') || ''; // Empty: the server's default
+    this.includeShared = localStorage.getItem('includeShared') === 'true';
+    this.searchQuery = null;
+    this.searchResults = [];
+    this.searchPageToken = null;
+    this.uploadConcurrency = parseInt(localStorage.getItem('uploadConcurrency'), 10) || DEFAULT_UPLOAD_CONCURRENCY;
+    this.uploadQueue = this.loadUploadQueue();
+    this.uploadFiles = new Map(); // queue item ID -> File (not persisted)
+    this.uploadRequests = new Map(); // queue item ID -> running XMLHttpRequest
+    this.uploadBatch = { finished: 0, moved: 0, actions: 0 };
+    this.stagedFiles = []; // Files in the drop zone, not uploading yet
+    this.folderOptionsHtml = '';
+    this.actions = [];
+    this.rules = [];
+    this.organizeJob = null;
+    this.organizePollTimer = null;
+    this.duplicateReport = null;
+    this.versionsFileId = null; // File shown in the versions section
+    this.renamePreview = null;
+    this.fileIndex = null;
+    this.fileIndexPollTimer = null;
     this.justLoggedIn = false; // Track if we just completed login
     this.init();
   }
@@ -43,7 +81,9 @@ class GoogleDriveUploader {
     } else if (errorParam) {
       console.error('[Auth] Login error:', errorParam);
       const decodedError = decodeURIComponent(errorParam);
-      this.showAuthError(`Authentication failed: ${decodedError}`);
+      this.showAuthError(decodedError === 'invalid_state'
+        ? 'The sign-in request expired or came from another browser. Please sign in again.'
+        : `Authentication failed: ${decodedError}`);
       this.showAuthDebug(`Error: ${decodedError}`);
       window.history.replaceState({}, '', window.location.pathname);
     }
@@ -52,10 +92,159 @@ class GoogleDriveUploader {
   bindEvents() {
     document.getElementById('login-btn').addEventListener('click', () => this.handleLogin());
     document.getElementById('logout-btn').addEventListener('click', () => this.handleLogout());
+    document.getElementById('account-select').addEventListener('change', (e) => this.switchAccount(e.target.value));
+    document.getElementById('add-account-btn').addEventListener('click', () => this.addAccount());
+    document.getElementById('remove-account-btn').addEventListener('click', () => this.removeAccount());
     document.getElementById('upload-btn').addEventListener('click', () => document.getElementById('file-input').click());
     document.getElementById('file-input').addEventListener('change', (e) => this.handleUpload(e));
+    const dropZone = document.getElementById('drop-zone');
+    dropZone.addEventListener('click', () => document.getElementById('file-input').click());
+    dropZone.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        document.getElementById('file-input').click();
+      }
+    });
+    const stagedList = document.getElementById('staged-files');
+    stagedList.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-staged-op]');
+      if (btn) this.handleStagedOperation(btn.dataset.stagedId, btn.dataset.stagedOp);
+    });
+    // Keep edits in the model without re-rendering, so the field keeps focus
+    ['input', 'change'].forEach(type => stagedList.addEventListener(type, (e) => {
+      const item = this.stagedFiles.find(i => i.id === e.target.dataset.stagedId);
+      if (item && e.target.dataset.stagedField) item[e.target.dataset.stagedField] = e.target.value;
+    }));
+    document.getElementById('preview-all-btn').addEventListener('click', () => {
+      this.stagedFiles.filter(item => !item.parentId).forEach(item => this.previewStagedFile(item));
+    });
+    document.getElementById('commit-staged-btn').addEventListener('click', () => this.commitStagedFiles());
+    document.getElementById('clear-staged-btn').addEventListener('click', () => {
+      this.stagedFiles = [];
+      this.renderStagedFiles();
+    });
+    document.getElementById('folder-upload-btn').addEventListener('click', () => document.getElementById('folder-input').click());
+    document.getElementById('folder-input').addEventListener('change', (e) => this.handleUpload(e));
+    const uploadArea = document.querySelector('.upload-area');
+    uploadArea.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      uploadArea.classList.add('drag-over');
+    });
+    uploadArea.addEventListener('dragleave', () => uploadArea.classList.remove('drag-over'));
+    uploadArea.addEventListener('drop', (e) => this.handleDrop(e));
+    document.getElementById('upload-progress-container').addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-upload-op]');
+      if (btn) this.handleQueueOperation(btn.dataset.uploadId, btn.dataset.uploadOp);
+    });
+    document.getElementById('clear-uploads-btn').addEventListener('click', () => this.clearFinishedUploads());
+    const concurrencySelect = document.getElementById('upload-concurrency-select');
+    concurrencySelect.value = String(this.uploadConcurrency);
+    concurrencySelect.addEventListener('change', (e) => {
+      this.uploadConcurrency = parseInt(e.target.value, 10);
+      localStorage.setItem('uploadConcurrency', String(this.uploadConcurrency));
+      this.pumpUploadQueue();
+    });
     document.getElementById('refresh-folders-btn').addEventListener('click', () => this.loadFolderStructure());
+    document.getElementById('resync-folders-btn').addEventListener('click', () => this.resyncFolders());
     document.getElementById('chat-send-btn').addEventListener('click', () => this.handleChatMessage());
+    document.getElementById('chat-cancel-btn').addEventListener('click', () => this.chatAbortController?.abort());
+    const confirmToggle = document.getElementById('confirm-actions-toggle');
+    confirmToggle.checked = this.confirmActions;
+    confirmToggle.addEventListener('change', (e) => {
+      this.confirmActions = e.target.checked;
+      localStorage.setItem('confirmActions', String(this.confirmActions));
+    });
+    const newFolderToggle = document.getElementById('allow-new-folder-toggle');
+    newFolderToggle.checked = this.allowNewFolder;
+    newFolderToggle.addEventListener('change', (e) => {
+      this.allowNewFolder = e.target.checked;
+      localStorage.setItem('allowNewFolder', String(this.allowNewFolder));
+    });
+    const duplicateSelect = document.getElementById('duplicate-action-select');
+    duplicateSelect.value = this.duplicateAction;
+    duplicateSelect.addEventListener('change', (e) => {
+      this.duplicateAction = e.target.value;
+      localStorage.setItem('duplicateAction', this.duplicateAction);
+    });
+    const newVersionToggle = document.getElementById('new-version-toggle');
+    newVersionToggle.checked = this.newVersion;
+    newVersionToggle.addEventListener('change', (e) => {
+      this.newVersion = e.target.checked;
+      localStorage.setItem('newVersion', String(this.newVersion));
+    });
+    const renameToggle = document.getElementById('rename-toggle');
+    renameToggle.checked = this.renameFiles;
+    renameToggle.addEventListener('change', (e) => {
+      this.renameFiles = e.target.checked;
+      localStorage.setItem('renameFiles', String(this.renameFiles));
+    });
+    // The upload and bulk rename templates are the same setting
+    ['rename-template-input', 'bulk-rename-template-input'].forEach(id => {
+      const input = document.getElementById(id);
+      input.placeholder = DEFAULT_RENAME_TEMPLATE;
+      input.value = this.renameTemplate;
+      input.addEventListener('change', (e) => {
+        this.renameTemplate = e.target.value.trim();
+        localStorage.setItem('renameTemplate', this.renameTemplate);
+        ['rename-template-input', 'bulk-rename-template-input'].forEach(other => { document.getElementById(other).value = this.renameTemplate; });
+      });
+    });
+    document.getElementById('rename-preview-btn').addEventListener('click', () => this.previewRenames());
+    document.getElementById('rename-apply-btn').addEventListener('click', () => this.applyRenames());
+    document.getElementById('duplicates-scan-btn').addEventListener('click', () => this.findDuplicates());
+    // "Versions" buttons in Recent Uploads and search results
+    for (const id of ['history-list', 'search-results']) {
+      document.getElementById(id).addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-versions-id]');
+        if (btn) this.showVersions(btn.dataset.versionsId);
+      });
+    }
+    document.getElementById('versions-list').addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-revision-id]');
+      if (btn) this.restoreVersion(btn.dataset.revisionId);
+    });
+    document.getElementById('versions-close-btn').addEventListener('click', () => {
+      document.getElementById('versions-section').classList.add('hidden');
+      this.versionsFileId = null;
+    });
+    document.getElementById('duplicates-trash-btn').addEventListener('click', () => this.trashDuplicates());
+    const sharedToggle = document.getElementById('include-shared-toggle');
+    sharedToggle.checked = this.includeShared;
+    sharedToggle.addEventListener('change', (e) => {
+      this.includeShared = e.target.checked;
+      localStorage.setItem('includeShared', String(this.includeShared));
+      this.loadFolderStructure();
+    });
+    document.getElementById('rule-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.createRule();
+    });
+    document.getElementById('search-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.searchDrive();
+    });
+    document.getElementById('search-more-btn').addEventListener('click', () => this.searchDrive(true));
+    document.getElementById('file-index-build-btn').addEventListener('click', () => this.buildFileIndex());
+    document.getElementById('file-index-delete-btn').addEventListener('click', () => this.deleteFileIndex());
+    document.getElementById('search-natural-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.searchNatural();
+    });
+    document.getElementById('rules-list').addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-rule-id]');
+      if (btn) this.handleRuleOperation(btn.dataset.ruleId, btn.dataset.ruleOp);
+    });
+    document.getElementById('organize-start-btn').addEventListener('click', () => this.startOrganizeJob());
+    document.getElementById('organize-apply-btn').addEventListener('click', () => this.organizeJobOperation('apply'));
+    document.getElementById('organize-cancel-btn').addEventListener('click', () => this.organizeJobOperation('cancel'));
+    document.getElementById('organize-undo-btn').addEventListener('click', () => this.organizeJobOperation('undo'));
+    document.getElementById('organize-select-all-btn').addEventListener('click', () => this.setOrganizeSelection(true));
+    document.getElementById('organize-select-none-btn').addEventListener('click', () => this.setOrganizeSelection(false));
+    document.getElementById('approve-all-btn').addEventListener('click', () => this.approveAllActions());
+    document.getElementById('actions-list').addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-action-op]');
+      if (btn) this.handleActionOperation(btn.dataset.actionId, btn.dataset.actionOp);
+    });
     document.getElementById('chat-input').addEventListener('keypress', (e) => {
       if (e.key === 'Enter') this.handleChatMessage();
     });
@@ -107,6 +296,9 @@ class GoogleDriveUploader {
       const data = await res.json();
       console.log('[Auth] Auth status response:', data);
       this.isAuthenticated = data.authenticated;
+      this.features = data.features || null;
+      this.accounts = data.accounts || [];
+      this.activeAccount = data.activeAccount || null;
       
       if (this.isAuthenticated) {
         console.log('[Auth] ✅ User is authenticated!');
@@ -134,6 +326,8 @@ class GoogleDriveUploader {
           this.showAuthError('Session verification failed. Please try logging in again.');
           this.showAuthDebug('Session cookie may not be set. Check browser console for details.');
           this.justLoggedIn = false;
+        } else if (data.reauthRequired) {
+          this.showAuthError('Your Google session expired. Please sign in again.');
         } else {
           this.showAuthDebug('Not authenticated. Please sign in.');
         }
@@ -165,6 +359,42 @@ class GoogleDriveUploader {
     }
   }
 
+  // API URL naming this tab's account, so switching accounts in another tab doesn't
+  // send this tab's requests to a different Drive
+  apiUrl(path) {
+    if (!this.activeAccount) return `${API_URL}${path}`;
+    return `${API_URL}${path}${path.includes('?') ? '&' : '?'}account=${encodeURIComponent(this.activeAccount)}`;
+  }
+
+  // fetch() against the API with the session cookie. A 401 with a sign-in code switches
+  // to the login view and throws, so callers stop without showing the raw server error.
+  async apiFetch(path, options = {}) {
+    const res = await fetch(this.apiUrl(path), { credentials: 'include', ...options });
+    if (res.status === 401) {
+      const body = await res.clone().json().catch(() => ({}));
+      if (SIGN_IN_ERROR_CODES.includes(body.code)) throw this.signInRequired(body.code);
+    }
+    return res;
+  }
+
+  // Sign the UI out and ask for a fresh login (once, however many requests fail).
+  // Queued uploads are paused so they can be resumed after signing in.
+  // Returns the error for the failed request to throw.
+  signInRequired(code) {
+    if (this.isAuthenticated) {
+      this.isAuthenticated = false;
+      clearTimeout(this.organizePollTimer);
+      clearTimeout(this.fileIndexPollTimer);
+      this.uploadQueue.filter(item => item.status === 'queued').forEach((item) => { item.status = 'paused'; });
+      this.saveUploadQueue();
+      this.updateUI();
+      this.showAuthError(code === 'REAUTH_REQUIRED'
+        ? 'Your Google session expired. Please sign in again.'
+        : 'You have been signed out. Please sign in again.');
+    }
+    return Object.assign(new Error('Please sign in again'), { signInRequired: true });
+  }
+
   showAuthError(message) {
     const el = document.getElementById('auth-error');
     if (el) {
@@ -200,6 +430,12 @@ class GoogleDriveUploader {
     const authenticatedView = document.getElementById('authenticated-view');
     const uploadSection = document.getElementById('upload-section');
     const folderSection = document.getElementById('folder-structure-section');
+    const actionsSection = document.getElementById('actions-section');
+    const organizeSection = document.getElementById('organize-section');
+    const duplicatesSection = document.getElementById('duplicates-section');
+    const renameSection = document.getElementById('rename-section');
+    const rulesSection = document.getElementById('rules-section');
+    const searchSection = document.getElementById('search-section');
     const chatSection = document.getElementById('chatbot-section');
 
     if (this.isAuthenticated) {
@@ -207,20 +443,114 @@ class GoogleDriveUploader {
       authenticatedView.classList.remove('hidden');
       uploadSection.classList.remove('hidden');
       folderSection.classList.remove('hidden');
-      chatSection.classList.add('hidden'); // Hidden for now
+      actionsSection.classList.remove('hidden');
+      organizeSection.classList.remove('hidden');
+      duplicatesSection.classList.remove('hidden');
+      renameSection.classList.remove('hidden');
+      rulesSection.classList.remove('hidden');
+      searchSection.classList.remove('hidden');
+      chatSection.classList.remove('hidden');
       this.loadFolderStructure();
+      this.loadActions();
+      this.loadRules();
+      this.loadFileIndex();
+      this.resumeOrganizeJob();
+      this.renderUploadQueue();
+      this.applyFeatureAccess();
+      this.renderAccounts();
     } else {
       loginView.classList.remove('hidden');
       authenticatedView.classList.add('hidden');
       uploadSection.classList.add('hidden');
       folderSection.classList.add('hidden');
+      actionsSection.classList.add('hidden');
+      organizeSection.classList.add('hidden');
+      duplicatesSection.classList.add('hidden');
+      renameSection.classList.add('hidden');
+      document.getElementById('versions-section').classList.add('hidden');
+      rulesSection.classList.add('hidden');
+      searchSection.classList.add('hidden');
       chatSection.classList.add('hidden');
     }
   }
 
+  // Features are allowed unless the server says the granted scopes don't cover them
+  hasFeature(name) {
+    return !this.features || this.features[name] !== false;
+  }
+
+  // Disable what the granted Drive scopes don't support (see OAUTH_SCOPE_PROFILE on the server)
+  applyFeatureAccess() {
+    const canOrganize = this.hasFeature('organize');
+    document.getElementById('organize-start-btn').disabled = !canOrganize || ['scanning', 'applying'].includes(this.organizeJob?.status);
+    document.getElementById('organize-scope-note').classList.toggle('hidden', canOrganize);
+    document.getElementById('rename-preview-btn').disabled = !canOrganize;
+    document.getElementById('rename-scope-note').classList.toggle('hidden', canOrganize);
+    document.getElementById('folder-scope-note').classList.toggle('hidden', this.hasFeature('allFolders'));
+    document.getElementById('file-index-build-btn').disabled = !this.hasFeature('index') || !!this.fileIndex?.indexing;
+  }
+
   handleLogin() {
-    console.log('[Auth] Initiating login, redirecting to:', `${API_URL}/auth/google`);
-    window.location.href = `${API_URL}/auth/google`;
+    // Signing in again after an expiry: pre-select the account that expired
+    const expired = this.accounts.find(account => account.active && account.reauthRequired);
+    const loginUrl = `${API_URL}/auth/google${expired ? `?account=${encodeURIComponent(expired.email)}` : ''}`;
+    console.log('[Auth] Initiating login, redirecting to:', loginUrl);
+    window.location.href = loginUrl;
+  }
+
+  renderAccounts() {
+    const select = document.getElementById('account-select');
+    select.innerHTML = this.accounts.map((account) => {
+      const label = account.name ? `${account.name} (${account.email})` : account.email;
+      return `<option value="${this.escapeHtml(account.email).replace(/"/g, '&quot;')}" ${account.email === this.activeAccount ? 'selected' : ''}>${this.escapeHtml(label)}${account.reauthRequired ? ' - sign in again' : ''}</option>`;
+    }).join('');
+    select.classList.toggle('hidden', this.accounts.length === 0);
+    document.getElementById('remove-account-btn').classList.toggle('hidden', this.accounts.length < 2);
+  }
+
+  // Google shows its account chooser; the new account becomes the active one
+  addAccount() {
+    window.location.href = `${API_URL}/auth/google?link=1`;
+  }
+
+  async switchAccount(email) {
+    const account = this.accounts.find(a => a.email === email);
+    if (!account || email === this.activeAccount) return;
+    if (account.reauthRequired) {
+      window.location.href = `${API_URL}/auth/google?account=${encodeURIComponent(email)}`;
+      return;
+    }
+    try {
+      const res = await this.apiFetch('/api/accounts/active', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ account: email })
+      });
+      const result = await res.json();
+      if (!result.success) throw new Error(result.message);
+      // Folders, rules, the journal and scopes all belong to the account: reload everything
+      this.organizeJob = null;
+      clearTimeout(this.organizePollTimer);
+      clearTimeout(this.fileIndexPollTimer);
+      await this.checkAuthStatus();
+    } catch (error) {
+      this.showStatus(`Could not switch account: ${error.message}`, 'error');
+      this.renderAccounts();
+    }
+  }
+
+  // Unlink the current account; the session falls back to another linked account
+  async removeAccount() {
+    const email = this.activeAccount;
+    if (!email || !confirm(`Remove ${email} from this session?`)) return;
+    try {
+      const res = await this.apiFetch(`/api/accounts/${encodeURIComponent(email)}`, { method: 'DELETE' });
+      const result = await res.json();
+      this.showStatus(result.message, result.success ? 'success' : 'error');
+      await this.checkAuthStatus();
+    } catch (error) {
+      this.showStatus(`Could not remove account: ${error.message}`, 'error');
+    }
   }
 
   async handleLogout() {
@@ -235,137 +565,580 @@ class GoogleDriveUploader {
   }
 
 
+  // Add the selected files to the upload queue; the queue uploads them in the background.
+  // Files picked with the folder picker carry webkitRelativePath and go through uploadFolders.
   async handleUpload(e) {
     const files = Array.from(e.target.files);
+    e.target.value = '';
     if (!files || files.length === 0) return;
 
-    const uploadBtn = document.getElementById('upload-btn');
-    const hintInput = document.getElementById('upload-hint-input');
-    const progressContainer = document.getElementById('upload-progress-container');
-    
-    // Validate description is provided
-    const hint = hintInput.value.trim();
-    if (!hint) {
-      this.showStatus('Please enter a description for the files', 'error');
-      hintInput.focus();
-      e.target.value = '';
-      return;
+    const entries = files.map(file => ({ file, relativePath: file.webkitRelativePath || file.name }));
+    await this.uploadEntries(entries, []);
+  }
+
+  async handleDrop(e) {
+    e.preventDefault();
+    document.querySelector('.upload-area').classList.remove('drag-over');
+    // Entries must be taken synchronously, before the drop event's data is cleared
+    const roots = [...e.dataTransfer.items].map(item => item.webkitGetAsEntry?.()).filter(Boolean);
+    if (roots.length === 0) return;
+    const { files, directories } = await this.readDroppedEntries(roots);
+    await this.uploadEntries(files, directories);
+  }
+
+  // Walk dropped files and folders into [{ file, relativePath }] plus every directory path
+  // (so empty folders are recreated too)
+  async readDroppedEntries(roots) {
+    const files = [];
+    const directories = [];
+    const walk = async (entry, path) => {
+      const entryPath = path ? `${path}/${entry.name}` : entry.name;
+      if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        files.push({ file, relativePath: entryPath });
+      } else if (entry.isDirectory) {
+        directories.push(entryPath);
+        const reader = entry.createReader();
+        // readEntries returns children in batches until it returns an empty one
+        let batch;
+        do {
+          batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+          for (const child of batch) await walk(child, entryPath);
+        } while (batch.length > 0);
+      }
+    };
+    for (const root of roots) await walk(root, '');
+    return { files, directories };
+  }
+
+  // Loose files are staged in the drop zone for review; folders start uploading right away
+  async uploadEntries(entries, directories) {
+    const looseFiles = entries.filter(entry => !entry.relativePath.includes('/'));
+    const hasFolders = looseFiles.length < entries.length || directories.length > 0;
+
+    if (looseFiles.length > 0) {
+      this.stageFiles(looseFiles.map(entry => entry.file));
     }
-    
-    uploadBtn.disabled = true;
-    uploadBtn.textContent = files.length === 1 ? 'Uploading...' : `Uploading ${files.length} files...`;
-    
-    // Show progress container for multiple files
-    if (files.length > 1) {
-      progressContainer.style.display = 'block';
-      progressContainer.innerHTML = '';
-    }
-    let successCount = 0;
-    let errorCount = 0;
-    let movedCount = 0;
-    const results = [];
-
-    // Upload files sequentially to avoid overwhelming the server
-    for (let i = 0; i < files.length; i++) {
-      const file = files[i];
-      
-      // Show progress for this file
-      if (files.length > 1) {
-        this.showFileProgress(file.name, i + 1, files.length, 'uploading');
+    if (hasFolders) {
+      await this.uploadFolders(entries.filter(entry => entry.relativePath.includes('/')), directories, this.uploadFields(''));
+    }
+  }
+
+  // Form fields for an upload; an empty hint falls back to the description box
+  uploadFields(hint) {
+    return {
+      hint: hint || document.getElementById('upload-hint-input').value.trim(),
+      mode: this.confirmActions ? 'propose' : 'auto',
+      allowNewFolder: String(this.allowNewFolder),
+      includeShared: String(this.includeShared),
+      onDuplicate: this.duplicateAction,
+      newVersion: String(this.newVersion),
+      rename: String(this.renameFiles),
+      ...(this.renameFiles && this.renameTemplate && { renameTemplate: this.renameTemplate }),
+      // Queued uploads stay on the account they were queued for
+      ...(this.activeAccount && { account: this.activeAccount })
+    };
+  }
+
+  // Staged files wait in the drop zone until "Upload Files", each with an optional
+  // hint, an optional target folder and the AI's suggestion once previewed
+  stageFiles(files) {
+    for (const file of files) {
+      this.stagedFiles.push({
+        id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        file,
+        hint: '',
+        parentId: '',
+        suggestion: null,
+        suggesting: false
+      });
+    }
+    this.renderStagedFiles();
+  }
+
+  renderStagedFiles() {
+    const list = document.getElementById('staged-files');
+    document.getElementById('staged-buttons').classList.toggle('hidden', this.stagedFiles.length === 0);
+    document.getElementById('commit-staged-btn').textContent = `Upload ${this.stagedFiles.length} File${this.stagedFiles.length === 1 ? '' : 's'}`;
+
+    list.innerHTML = this.stagedFiles.map(item => {
+      let suggestion = '';
+      if (item.suggesting) {
+        suggestion = 'Finding a folder...';
+      } else if (item.suggestion === false) {
+        suggestion = 'No matching folder: the file would stay in My Drive';
+      } else if (item.suggestion) {
+        const source = item.placedBy?.type === 'rule' ? `Rule "${this.escapeHtml(item.placedBy.ruleName)}"` : 'AI';
+        const useButton = item.suggestion.folderId && item.parentId !== item.suggestion.folderId
+          ? `<button class="btn btn-secondary btn-small" data-staged-id="${item.id}" data-staged-op="use">Use</button>`
+          : '';
+        suggestion = `${source} suggests ${item.suggestion.isNew ? 'new folder ' : ''}"${this.escapeHtml(item.suggestion.path)}"${useButton}`;
       }
+      return `
+        <div class="staged-item" role="listitem">
+          <span class="file-name">${this.escapeHtml(item.file.name)} <span class="upload-bytes">${this.formatBytes(item.file.size)}</span></span>
+          <input type="text" class="rule-input" data-staged-id="${item.id}" data-staged-field="hint" value="${this.escapeHtml(item.hint).replace(/"/g, '&quot;')}" placeholder="Description (optional)" aria-label="Description for ${this.escapeHtml(item.file.name)}" />
+          <select class="rule-input" data-staged-id="${item.id}" data-staged-field="parentId" aria-label="Folder for ${this.escapeHtml(item.file.name)}">
+            <option value="">Let AI pick the folder</option>
+            ${this.folderOptionsHtml}
+          </select>
+          <div class="action-buttons">
+            <button class="btn btn-secondary btn-small" data-staged-id="${item.id}" data-staged-op="preview">Preview</button>
+            <button class="btn btn-secondary btn-small" data-staged-id="${item.id}" data-staged-op="remove">Remove</button>
+          </div>
+          ${suggestion ? `<div class="staged-suggestion">${suggestion}</div>` : ''}
+        </div>`;
+    }).join('');
 
-      try {
-        const formData = new FormData();
-        formData.append('file', file);
-        formData.append('hint', hint);
+    // Restore the picked folders (the options are rebuilt on every render)
+    list.querySelectorAll('select[data-staged-id]').forEach(select => {
+      select.value = this.stagedFiles.find(item => item.id === select.dataset.stagedId)?.parentId || '';
+    });
+  }
+
+  async previewStagedFile(item) {
+    item.suggesting = true;
+    this.renderStagedFiles();
+    try {
+      const res = await this.apiFetch('/api/upload/suggest', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: item.file.name, mimeType: item.file.type, size: item.file.size, ...this.uploadFields(item.hint) })
+      });
+      const result = await res.json();
+      if (!result.success) throw new Error(result.message);
+      item.suggestion = result.suggestion || false;
+      item.placedBy = result.placedBy;
+    } catch (error) {
+      this.showStatus(`Could not preview "${item.file.name}": ${error.message}`, 'error');
+    }
+    item.suggesting = false;
+    this.renderStagedFiles();
+  }
+
+  handleStagedOperation(id, op) {
+    const item = this.stagedFiles.find(i => i.id === id);
+    if (!item) return;
+    if (op === 'preview') {
+      this.previewStagedFile(item);
+    } else if (op === 'use') {
+      item.parentId = item.suggestion.folderId;
+      this.renderStagedFiles();
+    } else if (op === 'remove') {
+      this.stagedFiles = this.stagedFiles.filter(i => i !== item);
+      this.renderStagedFiles();
+    }
+  }
+
+  // Move the staged files into the upload queue
+  commitStagedFiles() {
+    const folderSelect = document.getElementById('folder-upload-parent-select');
+    const folderPath = (id) => [...folderSelect.options].find(o => o.value === id)?.text;
+    this.enqueueFiles(this.stagedFiles.map(item => ({
+      file: item.file,
+      fields: item.parentId
+        ? { ...this.uploadFields(item.hint), parentId: item.parentId, folderPath: folderPath(item.parentId) }
+        : this.uploadFields(item.hint)
+    })));
+    this.stagedFiles = [];
+    this.renderStagedFiles();
+    // Clear input
+    document.getElementById('upload-hint-input').value = '';
+  }
+
+  // Recreate each top-level folder in Drive, then queue its files into the matching subfolders
+  async uploadFolders(entries, directories, fields) {
+    const folderParent = document.getElementById('folder-upload-parent-select');
+    const dirname = (relativePath) => relativePath.split('/').slice(0, -1).join('/');
+    const rootOf = (relativePath) => relativePath.split('/')[0];
 
-        const res = await fetch(`${API_URL}/api/upload`, {
+    const roots = new Set([...entries.map(e => rootOf(e.relativePath)), ...directories.map(rootOf)]);
+    for (const root of roots) {
+      const rootEntries = entries.filter(e => rootOf(e.relativePath) === root);
+      const rootDirs = new Set([root, ...directories.filter(d => rootOf(d) === root), ...rootEntries.map(e => dirname(e.relativePath))]);
+      this.showStatus(`Creating folder "${root}"...`, '');
+
+      try {
+        const res = await this.apiFetch('/api/folder-uploads', {
           method: 'POST',
-          body: formData,
-          credentials: 'include'
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            ...fields,
+            directories: [...rootDirs],
+            fileNames: rootEntries.map(e => e.file.name),
+            parentId: folderParent.value || undefined,
+            parentPath: folderParent.value ? folderParent.options[folderParent.selectedIndex].text : undefined
+          })
         });
         const result = await res.json();
-
-        if (result.success) {
-          successCount++;
-          if (result.moved) movedCount++;
-          this.addToHistory(result.file);
-          results.push({ file: result.file, success: true });
-          
-          if (files.length > 1) {
-            this.showFileProgress(file.name, i + 1, files.length, 'success');
-          } else {
-            this.showStatus(result.message, 'success');
-          }
-        } else {
-          errorCount++;
-          results.push({ file: { name: file.name }, success: false, error: result.message });
-          
-          if (files.length > 1) {
-            this.showFileProgress(file.name, i + 1, files.length, 'error', result.message);
-          } else {
-            this.showStatus(result.message, 'error');
-          }
+        if (!result.success) {
+          this.showStatus(`Could not upload "${root}": ${result.message}`, 'error');
+          continue;
         }
+        this.showStatus(result.message, 'success');
+        this.enqueueFiles(rootEntries.map(({ file, relativePath }) => ({
+          file,
+          fields: {
+            ...fields,
+            parentId: result.folders[dirname(relativePath)],
+            folderPath: `${result.parent.path}/${dirname(relativePath)}`
+          }
+        })));
       } catch (error) {
-        errorCount++;
-        results.push({ file: { name: file.name }, success: false, error: error.message });
-        
-        if (files.length > 1) {
-          this.showFileProgress(file.name, i + 1, files.length, 'error', error.message);
-        } else {
-          this.showStatus('Upload failed', 'error');
-        }
+        this.showStatus(`Could not upload "${root}": ${error.message}`, 'error');
       }
     }
+    this.loadFolderStructure();
+    this.loadActions();
+  }
 
-    // Show summary for multiple files
-    if (files.length > 1) {
-      const summary = `Uploaded ${successCount} of ${files.length} file${files.length > 1 ? 's' : ''}${movedCount > 0 ? ` (${movedCount} organized)` : ''}`;
-      this.showStatus(successCount === files.length ? summary : `${summary}. ${errorCount} failed.`, 
-                     successCount === files.length ? 'success' : 'error');
-      
-      // Hide progress container after a delay
-      setTimeout(() => {
-        progressContainer.style.display = 'none';
-      }, 5000);
+  // Queue entries are plain objects so they can be saved to localStorage:
+  //   { id, name, size, lastModified, fields, status, loaded, error, message, webViewLink }
+  // status: queued -> uploading -> done, or paused / cancelled / error; after a reload,
+  // unfinished entries are 'interrupted' until the same file is selected again.
+  // The File and the running request are kept alongside, in this.uploadFiles / this.uploadRequests.
+  enqueueFiles(entries) {
+    for (const { file, fields } of entries) {
+      // Picking a file again that was interrupted by a reload picks its entry back up
+      const existing = this.uploadQueue.find(item => item.status === 'interrupted' &&
+        item.name === file.name && item.size === file.size && item.lastModified === file.lastModified);
+      const item = existing || {
+        id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        name: file.name,
+        size: file.size,
+        lastModified: file.lastModified,
+        fields,
+        loaded: 0
+      };
+      item.status = 'queued';
+      item.error = '';
+      this.uploadFiles.set(item.id, file);
+      if (!existing) this.uploadQueue.push(item);
     }
+    this.saveUploadQueue();
+    this.renderUploadQueue();
+    this.pumpUploadQueue();
+  }
 
-    // Update history and folder structure if needed
-    if (successCount > 0) {
-      this.renderUploadHistory();
-      if (movedCount > 0) this.loadFolderStructure();
+  loadUploadQueue() {
+    const saved = JSON.parse(localStorage.getItem('uploadQueue') || '[]');
+    return saved.map(item => (['queued', 'uploading', 'paused'].includes(item.status)
+      ? { ...item, status: 'interrupted' }
+      : { ...item, resolving: false }));
+  }
+
+  saveUploadQueue() {
+    localStorage.setItem('uploadQueue', JSON.stringify(this.uploadQueue));
+  }
+
+  // Start queued uploads until the concurrency limit is reached
+  pumpUploadQueue() {
+    const running = this.uploadQueue.filter(item => item.status === 'uploading').length;
+    const next = this.uploadQueue.filter(item => item.status === 'queued').slice(0, Math.max(0, this.uploadConcurrency - running));
+    next.forEach(item => this.runUploadItem(item));
+
+    if (running === 0 && next.length === 0 && this.uploadBatch.finished > 0) {
+      this.finishUploadBatch();
     }
+  }
 
-    // Clear input
-    hintInput.value = '';
-    uploadBtn.disabled = false;
-    uploadBtn.textContent = 'Select Files to Upload';
-    e.target.value = '';
+  async runUploadItem(item) {
+    const file = this.uploadFiles.get(item.id);
+    item.status = 'uploading';
+    item.error = '';
+    this.saveUploadQueue();
+    this.renderUploadQueue();
+
+    const onProgress = (loaded) => {
+      item.loaded = loaded;
+      this.renderUploadProgress(item);
+    };
+
+    try {
+      const result = await this.uploadFile(item, file, onProgress);
+      if (result.success && result.awaitingDecision) {
+        // Uploaded, but already in Drive: the file waits for the user's choice (resolveDuplicate)
+        item.status = 'duplicate';
+        item.loaded = item.size;
+        item.message = result.message;
+        item.duplicate = { fileId: result.file.id, duplicateId: result.duplicates[0].id };
+        this.uploadFiles.delete(item.id);
+      } else if (result.success) {
+        this.completeUploadItem(item, result);
+      } else {
+        item.status = 'error';
+        item.error = result.message;
+      }
+    } catch (error) {
+      if (error.signInRequired) {
+        // Picked up again with "Resume" after signing in
+        item.status = 'paused';
+      } else if (error.name !== 'AbortError') {
+        // Pause and cancel abort the request and have already set the status
+        item.status = 'error';
+        item.error = error.message;
+      }
+    }
+    this.uploadRequests.delete(item.id);
+    this.saveUploadQueue();
+    this.renderUploadQueue();
+    this.pumpUploadQueue();
   }
 
-  showFileProgress(fileName, current, total, status, errorMessage = '') {
-    const progressContainer = document.getElementById('upload-progress-container');
-    const fileId = `progress-${current}`;
-    let progressItem = document.getElementById(fileId);
-    
-    if (!progressItem) {
-      progressItem = document.createElement('div');
-      progressItem.id = fileId;
-      progressItem.className = 'upload-progress-item';
-      progressContainer.appendChild(progressItem);
+  completeUploadItem(item, result) {
+    item.status = 'done';
+    item.loaded = item.size;
+    item.message = result.message;
+    item.webViewLink = result.file?.webViewLink;
+    if (!result.skipped) this.addToHistory(result.file, result);
+    this.uploadFiles.delete(item.id);
+    this.uploadBatch.finished++;
+    if (result.moved) this.uploadBatch.moved++;
+    if (result.action) this.uploadBatch.actions++;
+  }
+
+  // Answer for an upload that is already in Drive: skip, replace or keep
+  async resolveDuplicate(item, choice) {
+    item.resolving = true;
+    item.error = '';
+    this.renderUploadQueue();
+    try {
+      const res = await this.apiFetch('/api/upload/duplicate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...item.fields, ...item.duplicate, choice })
+      });
+      const result = await res.json();
+      if (!result.success) throw new Error(result.message);
+      this.completeUploadItem(item, result);
+    } catch (error) {
+      if (!error.signInRequired) item.error = error.message;
     }
+    item.resolving = false;
+    this.saveUploadQueue();
+    this.renderUploadQueue();
+    this.pumpUploadQueue();
+  }
 
-    const statusIcon = status === 'success' ? '✓' : status === 'error' ? '✗' : '⟳';
-    const statusClass = status === 'success' ? 'success' : status === 'error' ? 'error' : 'uploading';
-    const shortName = fileName.length > 40 ? fileName.substring(0, 37) + '...' : fileName;
-    
-    progressItem.innerHTML = `
-      <span class="progress-icon ${statusClass}">${statusIcon}</span>
-      <span class="progress-text">[${current}/${total}] ${this.escapeHtml(shortName)}</span>
-      ${errorMessage ? `<span class="progress-error">${this.escapeHtml(errorMessage)}</span>` : ''}
-    `;
-    progressItem.className = `upload-progress-item ${statusClass}`;
+  // Refresh the tree, journal and history once the queue has drained
+  finishUploadBatch() {
+    const { finished, moved, actions } = this.uploadBatch;
+    const failed = this.uploadQueue.filter(item => item.status === 'error').length;
+    const waiting = this.uploadQueue.filter(item => item.status === 'duplicate').length;
+    this.showStatus(`Uploaded ${finished} file${finished === 1 ? '' : 's'}${moved > 0 ? ` (${moved} organized)` : ''}${failed > 0 ? `. ${failed} failed.` : ''}`
+      + `${waiting > 0 ? ` ${waiting} already in Drive: choose what to do below.` : ''}`,
+      failed > 0 ? 'error' : 'success');
+    this.renderUploadHistory();
+    if (moved > 0) this.loadFolderStructure();
+    if (actions > 0) this.loadActions();
+    this.uploadBatch = { finished: 0, moved: 0, actions: 0 };
+  }
+
+  handleQueueOperation(id, op) {
+    const item = this.uploadQueue.find(i => i.id === id);
+    if (!item) return;
+
+    if (['skip', 'replace', 'keep'].includes(op)) {
+      if (!item.resolving) this.resolveDuplicate(item, op);
+      return;
+    }
+    if (op === 'pause' || op === 'cancel') {
+      item.status = op === 'pause' ? 'paused' : 'cancelled';
+      this.uploadRequests.get(item.id)?.abort();
+      if (op === 'cancel') {
+        localStorage.removeItem(this.resumeKey(item));
+        item.loaded = 0;
+      }
+    } else if (op === 'resume' || op === 'retry') {
+      if (!this.uploadFiles.has(item.id)) {
+        this.showStatus(`Select "${item.name}" again to continue its upload`, 'error');
+        return;
+      }
+      item.status = 'queued';
+    } else if (op === 'remove') {
+      this.uploadQueue = this.uploadQueue.filter(i => i !== item);
+      this.uploadFiles.delete(item.id);
+    }
+    this.saveUploadQueue();
+    this.renderUploadQueue();
+    this.pumpUploadQueue();
+  }
+
+  clearFinishedUploads() {
+    const finished = ['done', 'cancelled'];
+    this.uploadQueue.filter(item => finished.includes(item.status)).forEach(item => this.uploadFiles.delete(item.id));
+    this.uploadQueue = this.uploadQueue.filter(item => !finished.includes(item.status));
+    this.saveUploadQueue();
+    this.renderUploadQueue();
+  }
+
+  // Send one request with XMLHttpRequest (fetch has no upload progress). Resolves with
+  // { status, body }; rejects with an AbortError when the item is paused or cancelled.
+  sendUploadRequest(item, method, url, { body, headers = {}, onProgress } = {}) {
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      xhr.open(method, url);
+      xhr.withCredentials = true;
+      Object.entries(headers).forEach(([key, value]) => xhr.setRequestHeader(key, value));
+      if (onProgress) xhr.upload.onprogress = (e) => onProgress(e.loaded);
+      xhr.onload = () => {
+        let body;
+        try {
+          body = JSON.parse(xhr.responseText);
+        } catch {
+          return reject(new Error(`Unexpected response (${xhr.status})`));
+        }
+        if (xhr.status === 401 && SIGN_IN_ERROR_CODES.includes(body.code)) return reject(this.signInRequired(body.code));
+        resolve({ status: xhr.status, body });
+      };
+      xhr.onerror = () => reject(new Error('Network error'));
+      xhr.onabort = () => reject(new DOMException('Upload stopped', 'AbortError'));
+      this.uploadRequests.set(item.id, xhr);
+      xhr.send(body);
+    });
+  }
+
+  // Small files go up in one request; large ones use the resumable endpoint
+  async uploadFile(item, file, onProgress) {
+    if (file.size >= RESUMABLE_THRESHOLD) {
+      return this.uploadResumable(item, file, onProgress);
+    }
+    const formData = new FormData();
+    // Fields go first so the server knows the destination folder before the file streams in
+    Object.entries(item.fields).forEach(([key, value]) => formData.append(key, value));
+    formData.append('file', file);
+    const { body } = await this.sendUploadRequest(item, 'POST', `${API_URL}/api/upload`, { body: formData, onProgress });
+    return body;
+  }
+
+  resumeKey(item) {
+    return `resumableUpload:${item.name}:${item.size}:${item.lastModified}`;
+  }
+
+  // Upload in chunks through /api/uploads. The upload ID is remembered per file, so picking
+  // the same file again after a dropped connection or a reload continues where it stopped.
+  async uploadResumable(item, file, onProgress) {
+    const resumeKey = this.resumeKey(item);
+    let upload = await this.getResumableUpload(localStorage.getItem(resumeKey));
+
+    if (!upload) {
+      const res = await this.apiFetch('/api/uploads', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: file.name, size: file.size, mimeType: file.type, ...item.fields })
+      });
+      const result = await res.json();
+      if (!result.success) return result;
+      upload = result.upload;
+      localStorage.setItem(resumeKey, upload.id);
+    }
+
+    let failures = 0;
+    while (upload.status === 'uploading') {
+      const start = upload.received;
+      const end = Math.min(start + upload.chunkSize, file.size) - 1;
+      onProgress(start);
+      try {
+        const { status, body: result } = await this.sendUploadRequest(item, 'PUT', `${API_URL}/api/uploads/${encodeURIComponent(upload.id)}`, {
+          body: file.slice(start, end + 1),
+          headers: {
+            'Content-Type': 'application/octet-stream',
+            'Content-Range': `bytes ${start}-${end}/${file.size}`
+          },
+          onProgress: (loaded) => onProgress(start + loaded)
+        });
+        if (result.upload?.status === 'complete') {
+          localStorage.removeItem(resumeKey);
+          return result;
+        }
+        if (!result.success) throw Object.assign(new Error(result.message), { status });
+        upload = result.upload;
+        failures = 0;
+      } catch (error) {
+        if (error.name === 'AbortError' || error.signInRequired) throw error;
+        if (error.status === 401 || error.status === 404 || error.status === 410 || ++failures > MAX_CHUNK_RETRIES) {
+          if (error.status === 404 || error.status === 410) localStorage.removeItem(resumeKey);
+          return { success: false, message: error.message };
+        }
+        // Back off, then ask the server how much actually arrived before retrying
+        await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** failures));
+        upload = (await this.getResumableUpload(upload.id)) || upload;
+      }
+    }
+    localStorage.removeItem(resumeKey);
+    return upload.result || { success: false, message: `Upload ${upload.status}` };
+  }
+
+  async getResumableUpload(id) {
+    if (!id) return null;
+    try {
+      const res = await this.apiFetch(`/api/uploads/${encodeURIComponent(id)}`);
+      const result = await res.json();
+      return result.success ? result.upload : null;
+    } catch (error) {
+      if (error.signInRequired) throw error;
+      return null;
+    }
+  }
+
+  formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+  }
+
+  renderUploadQueue() {
+    const container = document.getElementById('upload-progress-container');
+    document.getElementById('clear-uploads-btn').classList.toggle('hidden',
+      !this.uploadQueue.some(item => item.status === 'done' || item.status === 'cancelled'));
+    container.style.display = this.uploadQueue.length > 0 ? 'block' : 'none';
+
+    const icons = { done: '✓', error: '✗', uploading: '⟳', cancelled: '✗' };
+    const labels = { queued: 'Waiting', paused: 'Paused', cancelled: 'Cancelled', interrupted: 'Interrupted: select the file again to resume' };
+    const duplicateButtons = (item) => item.resolving
+      ? '<span class="upload-bytes">Working…</span>'
+      : button(item, 'skip', 'Skip') + button(item, 'replace', 'New Version') + button(item, 'keep', 'Keep Both');
+    const button = (item, op, label) =>
+      `<button class="btn btn-secondary btn-small" data-upload-id="${item.id}" data-upload-op="${op}">${label}</button>`;
+
+    container.innerHTML = this.uploadQueue.map(item => {
+      const buttons = {
+        queued: button(item, 'cancel', 'Cancel'),
+        uploading: button(item, 'pause', 'Pause') + button(item, 'cancel', 'Cancel'),
+        paused: button(item, 'resume', 'Resume') + button(item, 'cancel', 'Cancel'),
+        error: button(item, 'retry', 'Retry') + button(item, 'remove', 'Remove'),
+        cancelled: button(item, 'retry', 'Retry') + button(item, 'remove', 'Remove'),
+        interrupted: button(item, 'remove', 'Remove'),
+        duplicate: duplicateButtons(item),
+        done: item.webViewLink ? `<a href="${this.escapeHtml(item.webViewLink)}" target="_blank" class="file-link">View in Drive</a>` : ''
+      }[item.status] || '';
+      const statusClass = item.status === 'done' ? 'success' : item.status === 'error' ? 'error' : 'uploading';
+      const detail = {
+        done: item.message,
+        error: item.error,
+        duplicate: item.error || item.message
+      }[item.status] ?? labels[item.status] ?? '';
+      return `
+        <div class="upload-progress-item ${statusClass}" role="listitem">
+          <span class="progress-icon ${item.status === 'uploading' ? 'uploading' : statusClass}">${icons[item.status] || '•'}</span>
+          <div class="progress-text">
+            ${this.escapeHtml(item.name)}
+            <progress id="upload-bar-${item.id}" class="upload-bar" max="${item.size || 1}" value="${item.loaded || 0}" aria-label="Upload progress"></progress>
+            <span id="upload-bytes-${item.id}" class="upload-bytes">${this.formatBytes(item.loaded || 0)} of ${this.formatBytes(item.size)}</span>
+            ${detail ? `<span class="${item.status === 'error' ? 'progress-error' : 'upload-bytes'}">${this.escapeHtml(detail)}</span>` : ''}
+          </div>
+          <div class="action-buttons">${buttons}</div>
+        </div>`;
+    }).join('');
+  }
+
+  // Progress events fire often; only touch the bar and the byte count
+  renderUploadProgress(item) {
+    const bar = document.getElementById(`upload-bar-${item.id}`);
+    const bytes = document.getElementById(`upload-bytes-${item.id}`);
+    if (bar) bar.value = item.loaded;
+    if (bytes) bytes.textContent = `${this.formatBytes(item.loaded)} of ${this.formatBytes(item.size)}`;
   }
 
   showStatus(message, type) {
@@ -375,8 +1148,10 @@ class GoogleDriveUploader {
     if (type === 'success') setTimeout(() => { el.textContent = ''; el.className = 'status-message'; }, 5000);
   }
 
-  addToHistory(file) {
-    this.uploadHistory.unshift({ id: file.id, name: file.name, webViewLink: file.webViewLink, uploadedAt: new Date().toISOString() });
+  // `result` is the upload response; a rename is kept as old and new name
+  addToHistory(file, result = {}) {
+    const renamed = result.renamed && { ...result.renamed, pending: result.renameAction?.status === 'proposed' };
+    this.uploadHistory.unshift({ id: file.id, name: file.name, webViewLink: file.webViewLink, uploadedAt: new Date().toISOString(), ...(renamed && { renamed }) });
     if (this.uploadHistory.length > 10) this.uploadHistory = this.uploadHistory.slice(0, 10);
     localStorage.setItem('uploadHistory', JSON.stringify(this.uploadHistory));
   }
@@ -389,16 +1164,89 @@ class GoogleDriveUploader {
     }
     list.innerHTML = this.uploadHistory.map(item => `
       <div class="history-item">
-        <span class="file-name">${this.escapeHtml(item.name)}</span>
-        <a href="${item.webViewLink}" target="_blank" class="file-link">View in Drive</a>
+        <span class="file-name">
+          ${this.escapeHtml(item.name)}
+          ${item.renamed ? `<span class="history-renamed">${this.escapeHtml(item.renamed.pending ? `suggested name: ${item.renamed.newName}` : `was ${item.renamed.originalName}`)}</span>` : ''}
+        </span>
+        <a href="${this.escapeHtml(item.webViewLink)}" target="_blank" class="file-link">View in Drive</a>
+        <button class="btn btn-secondary btn-small" data-versions-id="${this.escapeHtml(item.id)}">Versions</button>
       </div>
     `).join('');
   }
 
+  async loadActions() {
+    try {
+      const res = await this.apiFetch('/api/actions');
+      const result = await res.json();
+      if (result.success) {
+        this.actions = result.actions;
+        this.renderActions();
+      }
+    } catch (error) {
+      console.error('[Actions] Failed to load actions:', error);
+    }
+  }
+
+  renderActions() {
+    const list = document.getElementById('actions-list');
+    const approveAllBtn = document.getElementById('approve-all-btn');
+    const pending = this.actions.filter(a => a.status === 'proposed');
+    approveAllBtn.classList.toggle('hidden', pending.length < 2);
+
+    if (this.actions.length === 0) {
+      list.innerHTML = '<p style="color: #5f6368; font-style: italic;">No actions yet</p>';
+      return;
+    }
+
+    const button = (action, op, label) =>
+      `<button class="btn btn-secondary" data-action-id="${action.id}" data-action-op="${op}">${label}</button>`;
+    list.innerHTML = this.actions.map(action => {
+      let buttons = '';
+      if (action.status === 'proposed') buttons = button(action, 'approve', 'Approve') + button(action, 'reject', 'Reject');
+      else if (action.status === 'applied') buttons = button(action, 'undo', 'Undo');
+      const status = action.status === 'failed' ? `failed: ${action.error}` : action.status;
+      return `
+        <div class="action-item ${action.status}" role="listitem">
+          <div class="action-description">
+            ${this.escapeHtml(action.description)}
+            <div class="action-meta">${this.escapeHtml(status)} • via ${this.escapeHtml(action.source)} • ${new Date(action.createdAt).toLocaleString()}</div>
+          </div>
+          <div class="action-buttons">${buttons}</div>
+        </div>`;
+    }).join('');
+  }
+
+  async handleActionOperation(id, op, { reload = true } = {}) {
+    try {
+      const res = await this.apiFetch(`/api/actions/${encodeURIComponent(id)}/${op}`, { method: 'POST' });
+      const result = await res.json();
+      this.showStatus(result.message, result.success ? 'success' : 'error');
+      if (reload) {
+        await this.loadActions();
+        if (result.success && op !== 'reject') this.loadFolderStructure();
+      }
+      return result.success;
+    } catch (error) {
+      this.showStatus(`Action failed: ${error.message}`, 'error');
+      return false;
+    }
+  }
+
+  // Apply pending proposals oldest first, so folders are created before files are moved into them
+  async approveAllActions() {
+    const pending = this.actions.filter(a => a.status === 'proposed').reverse();
+    for (const action of pending) {
+      if (!(await this.handleActionOperation(action.id, 'approve', { reload: false }))) break;
+    }
+    await this.loadActions();
+    this.loadFolderStructure();
+  }
+
+  // Also safe inside double-quoted attributes such as href
   escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;');
   }
 
   async loadFolderStructure() {
@@ -411,12 +1259,14 @@ class GoogleDriveUploader {
     btn.disabled = true;
 
     try {
-      const res = await fetch(`${API_URL}/api/folders`, { credentials: 'include' });
+      const res = await this.apiFetch(`/api/folders?includeShared=${this.includeShared}`);
       const result = await res.json();
       loading.style.display = 'none';
 
       if (result.success) {
         this.renderFolderStructure(result.structure);
+        this.populateFolderSelects(result.structure);
+        this.renderFolderCache(result.cache);
       } else {
         tree.innerHTML = `<div class="error-message">${result.message}</div>`;
       }
@@ -428,17 +1278,54 @@ class GoogleDriveUploader {
     }
   }
 
+  // The server keeps folders in a cache updated from Drive's change feed; a full resync
+  // lists everything again, for when the tree looks out of date
+  async resyncFolders() {
+    const btn = document.getElementById('resync-folders-btn');
+    btn.disabled = true;
+    document.getElementById('folder-cache-status').textContent = 'Reloading every folder from Google Drive…';
+    try {
+      const res = await this.apiFetch('/api/drive-cache/resync', { method: 'POST' });
+      const result = await res.json();
+      if (!result.success) throw new Error(result.message);
+      await this.loadFolderStructure();
+    } catch (error) {
+      if (!error.signInRequired) document.getElementById('folder-cache-status').textContent = `Resync failed: ${error.message}`;
+    } finally {
+      btn.disabled = false;
+    }
+  }
+
+  renderFolderCache(cache) {
+    const status = document.getElementById('folder-cache-status');
+    if (!cache?.synced) {
+      status.textContent = '';
+      return;
+    }
+    status.textContent = `${cache.folderCount} folder(s) cached, fully listed ${new Date(cache.syncedAt).toLocaleString()}`
+      + `, checked for changes ${new Date(cache.checkedAt).toLocaleString()}.`;
+  }
+
+  // My Drive first, then each shared drive and the folders shared with the user as their own roots
   renderFolderStructure(structure) {
     const tree = document.getElementById('folder-tree');
-    let html = `<div class="folder-structure"><div class="root-folder">
-      <div class="folder-header root-header"><span class="folder-icon">[Folder]</span><span class="folder-name">${this.escapeHtml(structure.name)}</span></div>`;
-    
-    if (structure.folders?.length > 0) {
-      html += '<div class="root-children">';
-      structure.folders.forEach(f => html += this.renderFolderItem(f, 0));
+    const roots = [
+      { name: structure.name, folders: structure.folders },
+      ...(structure.sharedDrives || []),
+      ...(structure.sharedWithMe?.length ? [{ name: 'Shared with me', folders: structure.sharedWithMe }] : [])
+    ];
+    let html = '<div class="folder-structure">';
+    roots.forEach(root => {
+      html += `<div class="root-folder">
+      <div class="folder-header root-header"><span class="folder-icon">[Folder]</span><span class="folder-name">${this.escapeHtml(root.name)}</span></div>`;
+      if (root.folders?.length > 0) {
+        html += '<div class="root-children">';
+        root.folders.forEach(f => html += this.renderFolderItem(f, 0));
+        html += '</div>';
+      }
       html += '</div>';
-    }
-    html += '</div></div>';
+    });
+    html += '</div>';
     tree.innerHTML = html;
 
     tree.querySelectorAll('.folder-header').forEach(header => {
@@ -452,7 +1339,7 @@ class GoogleDriveUploader {
     const hasFolders = folder.folders?.length > 0;
     let html = `<div class="folder-item" style="padding-left: ${level * 20}px;">
       <div class="folder-header"><span class="folder-icon">${hasFolders ? '[Folder]' : '[File]'}</span>
-      <span class="folder-name">${this.escapeHtml(folder.name)}</span>
+      <span class="folder-name" title="${this.escapeHtml(folder.path || folder.name).replace(/"/g, '&quot;')}">${this.escapeHtml(folder.name)}</span>
       ${hasFolders ? `<span class="folder-count">(${folder.folders.length})</span>` : ''}</div>`;
     
     if (hasFolders) {
@@ -464,86 +1351,891 @@ class GoogleDriveUploader {
   }
 
 
-  async handleChatMessage() {
-    const input = document.getElementById('chat-input');
-    const btn = document.getElementById('chat-send-btn');
-    const message = input.value.trim();
-    if (!message) return;
+  // Fill the folder pickers (organize scan folder, rule destination) from the loaded tree.
+  // Shared drives can be picked like folders; "Shared with me" is only a path prefix.
+  populateFolderSelects(structure) {
+    const options = ['<option value="root">My Drive</option>'];
+    const addFolders = (folders) => folders.forEach(f => {
+      options.push(`<option value="${this.escapeHtml(f.id)}">${this.escapeHtml(f.path || f.name)}</option>`);
+      addFolders(f.folders || []);
+    });
+    addFolders(structure.folders || []);
+    addFolders(structure.sharedDrives || []);
+    addFolders(structure.sharedWithMe || []);
+    this.folderOptionsHtml = options.join('');
+    if (this.stagedFiles.length > 0) this.renderStagedFiles();
 
-    input.disabled = true;
-    btn.disabled = true;
-    this.addChatMessage(message, 'user');
-    input.value = '';
+    ['organize-folder-select', 'rule-folder-select', 'folder-upload-parent-select', 'search-folder-select', 'rename-folder-select'].forEach(id => {
+      const select = document.getElementById(id);
+      const selected = select.value;
+      // Pickers that can leave the choice to the AI keep that option first
+      const autoOption = select.dataset.autoOption ? `<option value="">${this.escapeHtml(select.dataset.autoOption)}</option>` : '';
+      select.innerHTML = autoOption + options.join('');
+      if ([...select.options].some(o => o.value === selected)) select.value = selected;
+    });
+  }
+
+  // Filters from the search form as GET /api/files/search parameters (empty ones left out)
+  searchParams() {
+    const value = (id) => document.getElementById(id).value.trim();
+    const startOfDay = (id) => (value(id) ? new Date(`${value(id)}T00:00:00`).toISOString() : '');
+    const folderId = value('search-folder-select');
+    const params = {
+      q: value('search-name'),
+      fullText: value('search-full-text'),
+      type: value('search-type'),
+      owner: value('search-owner'),
+      modifiedAfter: startOfDay('search-modified-after'),
+      modifiedBefore: startOfDay('search-modified-before'),
+      createdAfter: startOfDay('search-created-after'),
+      starred: value('search-starred'),
+      sort: value('search-sort'),
+      folderId,
+      includeDescendants: folderId ? String(document.getElementById('search-descendants-toggle').checked) : ''
+    };
+    return Object.fromEntries(Object.entries(params).filter(([, v]) => v !== ''));
+  }
+
+  // A new search replaces the results; "Load More" appends the next page of the same search
+  async searchDrive(more = false) {
+    if (!more) {
+      this.searchQuery = this.searchParams();
+      this.searchResults = [];
+      this.searchPageToken = null;
+    }
+    const params = new URLSearchParams(this.searchQuery);
+    if (more) params.set('pageToken', this.searchPageToken);
 
+    const moreBtn = document.getElementById('search-more-btn');
+    moreBtn.disabled = true;
+    this.showSearchStatus('Searching...');
     try {
-      this.chatHistory.push({ role: 'user', content: message });
-      const response = await this.processChatMessage(message);
-      this.chatHistory.push({ role: 'assistant', content: response });
-      this.addChatMessage(response, 'bot');
+      const res = await this.apiFetch(`/api/files/search?${params}`);
+      const result = await res.json();
+      if (!result.success) {
+        this.showSearchStatus(result.message, 'error');
+        return;
+      }
+      this.searchResults.push(...result.items);
+      this.searchPageToken = result.nextPageToken;
+      this.renderSearchResults();
+      const count = `${this.searchResults.length} result(s)${this.searchPageToken ? ' so far' : ''}`;
+      this.showSearchStatus(result.scopeTruncated
+        ? `${count}. The folder has too many subfolders to search them all; the deepest ones were skipped.`
+        : count);
     } catch (error) {
-      this.addChatMessage(`Error: ${error.message}`, 'bot');
+      if (!error.signInRequired) this.showSearchStatus('Search failed', 'error');
+    } finally {
+      moreBtn.disabled = false;
+    }
+  }
+
+  // Let the AI translate a description into filters, then show them in the form for tweaking
+  async searchNatural() {
+    const query = document.getElementById('search-natural-input').value.trim();
+    if (!query) return;
+    const btn = document.getElementById('search-natural-btn');
+    btn.disabled = true;
+    this.showSearchStatus('Interpreting your search...');
+    try {
+      const res = await this.apiFetch('/api/files/search/natural', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ query, includeShared: this.includeShared })
+      });
+      const result = await res.json();
+      if (!result.success) {
+        this.showSearchStatus(result.message, 'error');
+        return;
+      }
+      this.fillSearchForm(result.filters);
+      // "Load More" pages through exactly what the AI searched, not the rounded form dates
+      this.searchQuery = Object.fromEntries(Object.entries(result.filters).map(([k, v]) => [k, String(v)]));
+      this.searchResults = result.items;
+      this.searchPageToken = result.nextPageToken;
+      this.renderSearchResults();
+      const summary = this.describeSearchFilters(result.filters, result.folderPath);
+      this.showSearchStatus([
+        `Searched ${summary}: ${this.searchResults.length} result(s)${this.searchPageToken ? ' so far' : ''}.`,
+        ...result.notes
+      ].join(' '));
+    } catch (error) {
+      if (!error.signInRequired) this.showSearchStatus('Search failed', 'error');
     } finally {
-      input.disabled = false;
       btn.disabled = false;
-      input.focus();
     }
   }
 
-  async processChatMessage(message) {
-    const lower = message.toLowerCase();
+  // Show interpreted filters in the search form; filters left out are cleared
+  fillSearchForm(filters) {
+    const set = (id, value) => { document.getElementById(id).value = value ?? ''; };
+    const dateInput = (iso) => {
+      if (!iso) return '';
+      const d = new Date(iso);
+      return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    };
+    set('search-name', filters.q);
+    set('search-full-text', filters.fullText);
+    set('search-type', filters.type);
+    set('search-owner', filters.owner);
+    set('search-modified-after', dateInput(filters.modifiedAfter));
+    set('search-modified-before', dateInput(filters.modifiedBefore));
+    set('search-created-after', dateInput(filters.createdAfter));
+    set('search-starred', filters.starred === undefined ? '' : String(filters.starred));
+    set('search-folder-select', filters.folderId);
+    document.getElementById('search-descendants-toggle').checked = filters.includeDescendants !== false;
+  }
 
-    // Create folder
-    if (lower.includes('create') && lower.includes('folder')) {
-      const match = message.match(/folder.*?(?:called|named)?\s*['"]?([^'"]+)['"]?$/i);
-      if (!match) return "Please specify a folder name, e.g., 'Create a folder called Documents'";
-      
-      const res = await fetch(`${API_URL}/api/folders`, {
+  describeSearchFilters(filters, folderPath) {
+    const parts = [];
+    if (filters.q) parts.push(`names containing "${filters.q}"`);
+    if (filters.fullText) parts.push(`content containing "${filters.fullText}"`);
+    if (filters.type) parts.push(`type ${filters.type}`);
+    if (folderPath) parts.push(`in ${folderPath}${filters.includeDescendants ? ' and its subfolders' : ''}`);
+    if (filters.modifiedAfter) parts.push(`modified after ${new Date(filters.modifiedAfter).toLocaleString()}`);
+    if (filters.modifiedBefore) parts.push(`modified before ${new Date(filters.modifiedBefore).toLocaleString()}`);
+    if (filters.createdAfter) parts.push(`created after ${new Date(filters.createdAfter).toLocaleString()}`);
+    if (filters.owner) parts.push(`owned by ${filters.owner}`);
+    if (filters.starred !== undefined) parts.push(filters.starred ? 'starred' : 'not starred');
+    return parts.length ? parts.join(', ') : 'all files';
+  }
+
+  showSearchStatus(message, type = '') {
+    const el = document.getElementById('search-status');
+    el.textContent = message;
+    el.className = `status-message ${type}`;
+  }
+
+  renderSearchResults() {
+    const list = document.getElementById('search-results');
+    document.getElementById('search-more-btn').classList.toggle('hidden', !this.searchPageToken);
+    if (this.searchResults.length === 0) {
+      list.innerHTML = '<p style="color: #5f6368; font-style: italic;">No matching files</p>';
+      return;
+    }
+
+    list.innerHTML = this.searchResults.map(file => {
+      const meta = [
+        file.mimeType === 'application/vnd.google-apps.folder' ? 'Folder' : file.mimeType,
+        file.size ? this.formatBytes(Number(file.size)) : '',
+        file.modifiedTime ? `modified ${new Date(file.modifiedTime).toLocaleString()}` : '',
+        file.owners?.[0] ? `owner ${file.owners[0].displayName || file.owners[0].emailAddress}` : '',
+        file.starred ? 'starred' : ''
+      ].filter(Boolean).join(' • ');
+      return `
+      <div class="action-item" role="listitem">
+        <div class="action-description">
+          ${this.escapeHtml(file.name)}
+          <div class="action-meta">${this.escapeHtml(meta)}</div>
+        </div>
+        ${file.webViewLink ? `<a href="${this.escapeHtml(file.webViewLink).replace(/"/g, '&quot;')}" target="_blank" class="file-link">View in Drive</a>` : ''}
+        ${file.mimeType !== 'application/vnd.google-apps.folder' ? `<button class="btn btn-secondary btn-small" data-versions-id="${this.escapeHtml(file.id)}">Versions</button>` : ''}
+      </div>`;
+    }).join('');
+  }
+
+  async loadFileIndex() {
+    try {
+      const res = await this.apiFetch('/api/file-index');
+      const result = await res.json();
+      if (result.success) this.renderFileIndex(result.enabled, result.index);
+    } catch (error) {
+      console.error('[Index] Failed to load index status:', error);
+    }
+  }
+
+  async buildFileIndex() {
+    try {
+      const res = await this.apiFetch('/api/file-index/refresh', { method: 'POST' });
+      const result = await res.json();
+      if (!result.success) throw new Error(result.message);
+      this.renderFileIndex(true, result.index);
+    } catch (error) {
+      if (!error.signInRequired) document.getElementById('file-index-status').textContent = `Could not build the index: ${error.message}`;
+    }
+  }
+
+  async deleteFileIndex() {
+    if (!confirm('Delete the file index? The assistant will no longer be able to quote your files until you build it again.')) return;
+    try {
+      const res = await this.apiFetch('/api/file-index', { method: 'DELETE' });
+      const result = await res.json();
+      if (!result.success) throw new Error(result.message);
+      this.renderFileIndex(true, result.index);
+    } catch (error) {
+      if (!error.signInRequired) document.getElementById('file-index-status').textContent = `Could not delete the index: ${error.message}`;
+    }
+  }
+
+  // Show the index state, polling while it is being built or updated
+  renderFileIndex(enabled, index) {
+    this.fileIndex = index;
+    document.getElementById('file-index-panel').classList.toggle('hidden', !enabled);
+    if (!enabled) return;
+
+    const status = document.getElementById('file-index-status');
+    const buildBtn = document.getElementById('file-index-build-btn');
+    if (index.indexing) {
+      status.textContent = `Indexing… ${index.processed} of ${index.total || '?'} new or changed files`;
+    } else if (index.error) {
+      status.textContent = `The last update failed: ${index.error}`;
+    } else if (index.needsRebuild) {
+      status.textContent = 'The server now uses a different embedding model. Update the index to use it in chat again.';
+    } else if (index.built) {
+      status.textContent = `${index.fileCount} file(s) indexed${index.syncedAt ? `, last updated ${new Date(index.syncedAt).toLocaleString()}` : ''}.`
+        + (index.failedCount ? ` ${index.failedCount} file(s) could not be read (e.g. "${index.failedFiles[0].name}": ${index.failedFiles[0].error}) and will be retried.` : '');
+    } else {
+      status.textContent = 'Not built yet.';
+    }
+    buildBtn.textContent = index.built ? 'Update Index' : 'Build Index';
+    document.getElementById('file-index-delete-btn').classList.toggle('hidden', !index.built);
+    this.applyFeatureAccess();
+
+    clearTimeout(this.fileIndexPollTimer);
+    if (index.indexing) this.fileIndexPollTimer = setTimeout(() => this.loadFileIndex(), 2000);
+  }
+
+  async loadRules() {
+    try {
+      const res = await this.apiFetch('/api/rules');
+      const result = await res.json();
+      if (result.success) {
+        this.rules = result.rules;
+        this.renderRules();
+      }
+    } catch (error) {
+      console.error('[Rules] Failed to load rules:', error);
+    }
+  }
+
+  describeRuleConditions(conditions) {
+    const parts = [];
+    if (conditions.nameGlob) parts.push(`name like "${conditions.nameGlob}"`);
+    if (conditions.nameRegex) parts.push(`name matches /${conditions.nameRegex}/`);
+    if (conditions.extensions) parts.push(`extension ${conditions.extensions.join(', ')}`);
+    if (conditions.fileType) parts.push(`type ${conditions.fileType}`);
+    if (conditions.mimeType) parts.push(`MIME ${conditions.mimeType}`);
+    if (conditions.minSize !== undefined) parts.push(`at least ${Math.round(conditions.minSize / 1024)} KB`);
+    if (conditions.maxSize !== undefined) parts.push(`at most ${Math.round(conditions.maxSize / 1024)} KB`);
+    if (conditions.hintKeywords) parts.push(`hint mentions ${conditions.hintKeywords.join(' or ')}`);
+    return parts.join(', ');
+  }
+
+  renderRules() {
+    const list = document.getElementById('rules-list');
+    if (this.rules.length === 0) {
+      list.innerHTML = '<p style="color: #5f6368; font-style: italic;">No rules yet</p>';
+      return;
+    }
+
+    const button = (rule, op, label) =>
+      `<button class="btn btn-secondary" data-rule-id="${rule.id}" data-rule-op="${op}">${label}</button>`;
+    list.innerHTML = this.rules.map(rule => `
+      <div class="action-item rule-item ${rule.enabled ? '' : 'disabled'}" role="listitem">
+        <div class="action-description">
+          ${this.escapeHtml(rule.name)} → ${this.escapeHtml(rule.folderPath)}
+          <div class="action-meta">${this.escapeHtml(this.describeRuleConditions(rule.conditions))}${rule.enabled ? '' : ' • disabled'}</div>
+        </div>
+        <div class="action-buttons">
+          ${button(rule, 'toggle', rule.enabled ? 'Disable' : 'Enable')}${button(rule, 'delete', 'Delete')}
+        </div>
+      </div>
+    `).join('');
+  }
+
+  async createRule() {
+    const value = (id) => document.getElementById(id).value.trim();
+    const kilobytes = (id) => (value(id) === '' ? undefined : Number(value(id)) * 1024);
+    const folderSelect = document.getElementById('rule-folder-select');
+    const body = {
+      name: value('rule-name'),
+      conditions: {
+        nameGlob: value('rule-name-glob'),
+        nameRegex: value('rule-name-regex'),
+        extensions: value('rule-extensions'),
+        fileType: value('rule-file-type'),
+        mimeType: value('rule-mime-type'),
+        minSize: kilobytes('rule-min-size'),
+        maxSize: kilobytes('rule-max-size'),
+        hintKeywords: value('rule-hint-keywords')
+      },
+      folderId: folderSelect.value,
+      folderPath: folderSelect.options[folderSelect.selectedIndex]?.text
+    };
+
+    try {
+      const res = await this.apiFetch('/api/rules', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ name: match[1].trim() }),
-        credentials: 'include'
+        body: JSON.stringify(body)
       });
       const result = await res.json();
+      this.showStatus(result.message, result.success ? 'success' : 'error');
       if (result.success) {
+        document.getElementById('rule-form').reset();
+        this.loadRules();
+      }
+    } catch (error) {
+      this.showStatus(`Could not save rule: ${error.message}`, 'error');
+    }
+  }
+
+  async handleRuleOperation(id, op) {
+    const rule = this.rules.find(r => r.id === id);
+    if (!rule) return;
+    try {
+      const res = await this.apiFetch(`/api/rules/${encodeURIComponent(id)}`, op === 'delete'
+        ? { method: 'DELETE' }
+        : {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ enabled: !rule.enabled })
+        });
+      const result = await res.json();
+      this.showStatus(result.message, result.success ? 'success' : 'error');
+      this.loadRules();
+    } catch (error) {
+      this.showStatus(`Rule update failed: ${error.message}`, 'error');
+    }
+  }
+
+  async startOrganizeJob() {
+    const select = document.getElementById('organize-folder-select');
+    const startBtn = document.getElementById('organize-start-btn');
+    startBtn.disabled = true;
+    try {
+      const res = await this.apiFetch('/api/organize/jobs', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          folderId: select.value,
+          folderName: select.options[select.selectedIndex]?.text,
+          useContent: document.getElementById('organize-content-toggle').checked,
+          allowNewFolder: document.getElementById('organize-new-folder-toggle').checked,
+          includeShared: this.includeShared
+        })
+      });
+      const result = await res.json();
+      if (!result.success) {
+        this.showOrganizeProgress(result.message, 'error');
+        return;
+      }
+      localStorage.setItem('organizeJobId', result.job.id);
+      this.organizeJob = result.job;
+      this.renderOrganizeJob();
+      this.pollOrganizeJob();
+    } catch (error) {
+      this.showOrganizeProgress(`Could not start scan: ${error.message}`, 'error');
+    } finally {
+      startBtn.disabled = !this.hasFeature('organize');
+    }
+  }
+
+  // Pick up the last job after a page reload (jobs keep running on the server)
+  async resumeOrganizeJob() {
+    const jobId = localStorage.getItem('organizeJobId');
+    if (!jobId || this.organizeJob) return;
+    try {
+      const res = await this.apiFetch(`/api/organize/jobs/${encodeURIComponent(jobId)}`);
+      const result = await res.json();
+      if (!result.success) {
+        localStorage.removeItem('organizeJobId');
+        return;
+      }
+      this.organizeJob = result.job;
+      this.renderOrganizeJob();
+      this.pollOrganizeJob();
+    } catch (error) {
+      console.error('[Organize] Failed to resume job:', error);
+    }
+  }
+
+  pollOrganizeJob() {
+    clearTimeout(this.organizePollTimer);
+    const job = this.organizeJob;
+    if (!job || (job.status !== 'scanning' && job.status !== 'applying')) return;
+
+    this.organizePollTimer = setTimeout(async () => {
+      try {
+        const res = await this.apiFetch(`/api/organize/jobs/${encodeURIComponent(job.id)}`);
+        const result = await res.json();
+        if (!result.success) throw new Error(result.message);
+        const wasApplying = this.organizeJob.status === 'applying';
+        this.organizeJob = result.job;
+        this.renderOrganizeJob();
+        if (wasApplying && result.job.status !== 'applying') {
+          this.loadFolderStructure();
+          this.loadActions();
+        }
+      } catch (error) {
+        this.showOrganizeProgress(`Lost track of the job: ${error.message}`, 'error');
+        return;
+      }
+      this.pollOrganizeJob();
+    }, 1000);
+  }
+
+  showOrganizeProgress(message, type = '') {
+    const el = document.getElementById('organize-progress');
+    el.textContent = message;
+    el.className = `status-message ${type}`;
+  }
+
+  renderOrganizeJob() {
+    const job = this.organizeJob;
+    const plan = document.getElementById('organize-plan');
+    const show = (id, visible) => document.getElementById(id).classList.toggle('hidden', !visible);
+    if (!job) return;
+
+    const matched = job.items.filter(i => i.suggestion);
+    const progress = {
+      scanning: `Scanning ${job.folderName}: ${job.processed} of ${job.total || '?'} files checked...`,
+      planned: `${matched.length} of ${job.items.length} files in ${job.folderName} have a suggested folder. Review and apply.`,
+      applying: `Moving files: ${job.processed} of ${job.total}...`,
+      applied: `Moved ${job.items.filter(i => i.status === 'applied').length} file(s).`,
+      undone: 'Reorganization undone.',
+      cancelled: 'Cancelled.',
+      failed: `Failed: ${job.error || 'unknown error'}`
+    }[job.status];
+    this.showOrganizeProgress(progress, job.status === 'failed' ? 'error' : '');
+
+    const editable = job.status === 'planned';
+    plan.innerHTML = matched.map(item => `
+      <div class="organize-item ${item.status}" role="listitem">
+        <input type="checkbox" data-item-id="${this.escapeHtml(item.id)}" ${item.approved ? 'checked' : ''} ${editable ? '' : 'disabled'} aria-label="Move ${this.escapeHtml(item.name)}" />
+        <span class="file-name">${this.escapeHtml(item.name)}</span>
+        <span class="organize-target">→ ${this.escapeHtml(item.suggestion.path)}${item.suggestion.isNew ? '<span class="organize-new-badge">new</span>' : ''}</span>
+        <span class="organize-status">${item.status === 'matched' ? '' : this.escapeHtml(item.error || item.status)}</span>
+      </div>
+    `).join('');
+
+    show('organize-select-all-btn', editable && matched.length > 0);
+    show('organize-select-none-btn', editable && matched.length > 0);
+    show('organize-apply-btn', editable && matched.length > 0);
+    show('organize-cancel-btn', job.status === 'scanning' || job.status === 'applying');
+    show('organize-undo-btn', (job.status === 'applied' || job.status === 'cancelled') && job.items.some(i => i.status === 'applied'));
+    this.applyFeatureAccess();
+  }
+
+  setOrganizeSelection(checked) {
+    document.querySelectorAll('#organize-plan input[type="checkbox"]').forEach(box => { box.checked = checked; });
+  }
+
+  async organizeJobOperation(op) {
+    const job = this.organizeJob;
+    if (!job) return;
+    const body = {};
+    if (op === 'apply') {
+      body.itemIds = [...document.querySelectorAll('#organize-plan input[type="checkbox"]:checked')].map(box => box.dataset.itemId);
+      if (body.itemIds.length === 0) {
+        this.showOrganizeProgress('Select at least one file to move', 'error');
+        return;
+      }
+    }
+    try {
+      const res = await this.apiFetch(`/api/organize/jobs/${encodeURIComponent(job.id)}/${op}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const result = await res.json();
+      if (result.job) {
+        this.organizeJob = result.job;
+        this.renderOrganizeJob();
+      }
+      if (!result.success || op === 'undo') this.showOrganizeProgress(result.message, result.success ? 'success' : 'error');
+      if (op === 'undo') {
         this.loadFolderStructure();
-        return `✅ Created folder "${match[1].trim()}"!`;
+        this.loadActions();
       }
-      return `❌ ${result.message}`;
+      this.pollOrganizeJob();
+    } catch (error) {
+      this.showOrganizeProgress(`Request failed: ${error.message}`, 'error');
     }
+  }
 
-    // Search
-    if (lower.includes('search') || lower.includes('find')) {
-      const match = message.match(/(?:search|find).*?['"]?([^'"]+)['"]?$/i);
-      if (!match) return "What would you like to search for?";
-      
-      const res = await fetch(`${API_URL}/api/files/search?q=${encodeURIComponent(match[1].trim())}`, { credentials: 'include' });
+  showDuplicatesStatus(message, type = '') {
+    const el = document.getElementById('duplicates-status');
+    el.textContent = message;
+    el.className = `status-message ${type}`;
+  }
+
+  async findDuplicates() {
+    const btn = document.getElementById('duplicates-scan-btn');
+    btn.disabled = true;
+    this.showDuplicatesStatus('Comparing your files...');
+    try {
+      const res = await this.apiFetch('/api/duplicates');
       const result = await res.json();
-      if (!result.success) return `❌ ${result.message}`;
-      if (result.items.length === 0) return `No items found matching "${match[1]}"`;
-      
-      return `Found ${result.items.length} item(s):\n` + result.items.slice(0, 10).map(i => 
-        `• ${i.mimeType?.includes('folder') ? '[Folder]' : '[File]'} ${i.name}`
-      ).join('\n');
+      if (!result.success) throw new Error(result.message);
+      this.duplicateReport = result;
+      this.renderDuplicates();
+    } catch (error) {
+      if (!error.signInRequired) this.showDuplicatesStatus(`Could not look for duplicates: ${error.message}`, 'error');
+    } finally {
+      btn.disabled = false;
+    }
+  }
+
+  // One group per set of duplicates; every copy but the oldest starts ticked for the trash
+  renderDuplicates() {
+    const { clusters, scanned, truncated } = this.duplicateReport;
+    const wasted = clusters.reduce((sum, cluster) => sum + cluster.wastedBytes, 0);
+    const scope = `${scanned} file(s)${truncated ? ' (your most recently modified ones)' : ''}`;
+    this.showDuplicatesStatus(clusters.length
+      ? `${clusters.length} group(s) of duplicates among ${scope}. The extra copies take up ${this.formatBytes(wasted)}.`
+      : `No duplicates among ${scope}.`);
+
+    document.getElementById('duplicates-list').innerHTML = clusters.map((cluster, i) => `
+      <div class="duplicate-group" role="listitem">
+        <div class="duplicate-group-header">${cluster.reason === 'identical' ? 'Identical content' : 'Same name and size'}, ${this.formatBytes(cluster.size)} each</div>
+        ${cluster.files.map((file, j) => `
+          <label class="organize-item">
+            <input type="checkbox" data-cluster="${i}" data-file-id="${this.escapeHtml(file.id)}" ${j > 0 ? 'checked' : ''} aria-label="Trash ${this.escapeHtml(file.name)} in ${this.escapeHtml(file.folderPath)}" />
+            <span class="file-name">${file.webViewLink ? `<a href="${this.escapeHtml(file.webViewLink)}" target="_blank" class="file-link">${this.escapeHtml(file.name)}</a>` : this.escapeHtml(file.name)}</span>
+            <span class="organize-target">${this.escapeHtml(file.folderPath)}</span>
+            <span class="organize-status">${file.createdTime ? `added ${new Date(file.createdTime).toLocaleDateString()}` : ''}</span>
+          </label>`).join('')}
+      </div>
+    `).join('');
+    document.getElementById('duplicates-trash-btn').classList.toggle('hidden', clusters.length === 0);
+  }
+
+  async trashDuplicates() {
+    const boxes = [...document.querySelectorAll('#duplicates-list input[type="checkbox"]')];
+    const selected = boxes.filter(box => box.checked);
+    if (selected.length === 0) {
+      this.showDuplicatesStatus('Tick the copies to move to the trash', 'error');
+      return;
+    }
+    // Trashing every copy would lose the file, not tidy it up
+    const emptied = this.duplicateReport.clusters.find((cluster, i) =>
+      boxes.filter(box => box.dataset.cluster === String(i)).every(box => box.checked));
+    if (emptied) {
+      this.showDuplicatesStatus(`Keep at least one copy of "${emptied.files[0].name}"`, 'error');
+      return;
     }
 
-    // Latest file
-    if (lower.includes('latest') || lower.includes('recent')) {
-      const res = await fetch(`${API_URL}/api/files/latest`, { credentials: 'include' });
+    const btn = document.getElementById('duplicates-trash-btn');
+    btn.disabled = true;
+    try {
+      const res = await this.apiFetch('/api/duplicates/trash', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ fileIds: selected.map(box => box.dataset.fileId) })
+      });
       const result = await res.json();
-      if (!result.success) return result.message;
-      const f = result.file;
-      return `Latest file: ${f.name}\nType: ${f.mimeType}\nLocation: ${f.parentName}\nModified: ${new Date(f.modifiedTime).toLocaleString()}`;
+      if (!result.success) throw new Error(result.message);
+
+      const trashed = new Set(result.actions.map(action => action.fileId));
+      this.duplicateReport.clusters = this.duplicateReport.clusters
+        .map(cluster => ({ ...cluster, files: cluster.files.filter(file => !trashed.has(file.id)) }))
+        .filter(cluster => cluster.files.length > 1)
+        .map(cluster => ({ ...cluster, wastedBytes: cluster.size * (cluster.files.length - 1) }));
+      this.renderDuplicates();
+      this.showDuplicatesStatus(result.message, result.failed.length ? 'error' : 'success');
+      this.loadActions();
+    } catch (error) {
+      if (!error.signInRequired) this.showDuplicatesStatus(`Could not trash the files: ${error.message}`, 'error');
+    } finally {
+      btn.disabled = false;
     }
+  }
 
-    // AI chat fallback
-    const res = await fetch(`${API_URL}/api/chat`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ messages: this.chatHistory }),
-      credentials: 'include'
+  showRenameStatus(message, type = '') {
+    const el = document.getElementById('rename-status');
+    el.textContent = message;
+    el.className = `status-message ${type}`;
+  }
+
+  async previewRenames() {
+    const btn = document.getElementById('rename-preview-btn');
+    btn.disabled = true;
+    document.getElementById('rename-list').innerHTML = '';
+    document.getElementById('rename-apply-btn').classList.add('hidden');
+    this.showRenameStatus('Asking the AI for names...');
+    try {
+      const res = await this.apiFetch('/api/rename/preview', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          folderId: document.getElementById('rename-folder-select').value,
+          template: this.renameTemplate,
+          hint: document.getElementById('rename-hint-input').value.trim(),
+          useContent: document.getElementById('rename-content-toggle').checked
+        })
+      });
+      const result = await res.json();
+      if (!result.success) throw new Error(result.message);
+      this.renamePreview = result;
+      this.renderRenamePreview();
+    } catch (error) {
+      if (!error.signInRequired) this.showRenameStatus(`Could not suggest names: ${error.message}`, 'error');
+    } finally {
+      btn.disabled = !this.hasFeature('organize');
+    }
+  }
+
+  // Old and new name side by side, all ticked
+  renderRenamePreview() {
+    const { proposals, unchanged, failed, truncated } = this.renamePreview;
+    this.showRenameStatus(`${proposals.length} new name(s) suggested`
+      + `${unchanged ? `, ${unchanged} file(s) keep their name` : ''}${failed.length ? `, ${failed.length} failed` : ''}.`
+      + `${truncated ? ' Only the most recently modified files were looked at.' : ''}`);
+
+    document.getElementById('rename-list').innerHTML = proposals.map(item => `
+      <label class="organize-item" role="listitem">
+        <input type="checkbox" data-file-id="${this.escapeHtml(item.fileId)}" checked aria-label="Rename ${this.escapeHtml(item.originalName)}" />
+        <span class="file-name">${item.webViewLink ? `<a href="${this.escapeHtml(item.webViewLink)}" target="_blank" class="file-link">${this.escapeHtml(item.originalName)}</a>` : this.escapeHtml(item.originalName)}</span>
+        <span class="organize-target">→ ${this.escapeHtml(item.newName)}</span>
+      </label>
+    `).join('');
+    document.getElementById('rename-apply-btn').classList.toggle('hidden', proposals.length === 0);
+  }
+
+  async applyRenames() {
+    const selected = new Set([...document.querySelectorAll('#rename-list input[type="checkbox"]:checked')].map(box => box.dataset.fileId));
+    const renames = this.renamePreview.proposals.filter(item => selected.has(item.fileId));
+    if (renames.length === 0) {
+      this.showRenameStatus('Tick the files to rename', 'error');
+      return;
+    }
+
+    const btn = document.getElementById('rename-apply-btn');
+    btn.disabled = true;
+    try {
+      const res = await this.apiFetch('/api/rename/apply', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ renames: renames.map(({ fileId, newName }) => ({ fileId, newName })) })
+      });
+      const result = await res.json();
+      if (!result.success) throw new Error(result.message);
+
+      const renamed = new Set(result.actions.map(action => action.fileId));
+      this.renamePreview.proposals = this.renamePreview.proposals.filter(item => !renamed.has(item.fileId));
+      this.renderRenamePreview();
+      this.showRenameStatus(result.message, result.failed.length ? 'error' : 'success');
+      this.loadActions();
+    } catch (error) {
+      if (!error.signInRequired) this.showRenameStatus(`Could not rename the files: ${error.message}`, 'error');
+    } finally {
+      btn.disabled = false;
+    }
+  }
+
+  showVersionsStatus(message, type = '') {
+    const el = document.getElementById('versions-status');
+    el.textContent = message;
+    el.className = `status-message ${type}`;
+  }
+
+  async showVersions(fileId) {
+    const section = document.getElementById('versions-section');
+    this.versionsFileId = fileId;
+    section.classList.remove('hidden');
+    section.scrollIntoView({ behavior: 'smooth' });
+    document.getElementById('versions-list').innerHTML = '';
+    this.showVersionsStatus('Loading versions...');
+    try {
+      const res = await this.apiFetch(`/api/files/${encodeURIComponent(fileId)}/revisions`);
+      const result = await res.json();
+      if (!result.success) throw new Error(result.message);
+      if (this.versionsFileId === fileId) this.renderVersions(result);
+    } catch (error) {
+      if (!error.signInRequired) this.showVersionsStatus(`Could not load the versions: ${error.message}`, 'error');
+    }
+  }
+
+  // Newest first; every version but the current one can be restored (binary files only)
+  renderVersions({ file, revisions, restorable }) {
+    this.showVersionsStatus(`${revisions.length} version(s) of "${file.name}"`
+      + `${restorable ? '' : '. Versions of Google Docs, Sheets and Slides can be restored in Google Drive.'}`);
+    document.getElementById('versions-list').innerHTML = revisions.map(revision => {
+      const user = revision.lastModifyingUser;
+      const meta = [
+        revision.size ? this.formatBytes(Number(revision.size)) : '',
+        user ? `by ${user.displayName || user.emailAddress}` : '',
+        revision.originalFilename && revision.originalFilename !== file.name ? `uploaded as ${revision.originalFilename}` : '',
+        revision.keepForever ? 'kept forever' : ''
+      ].filter(Boolean).join(' • ');
+      return `
+      <div class="action-item" role="listitem">
+        <div class="action-description">
+          ${new Date(revision.modifiedTime).toLocaleString()}${revision.current ? ' (current)' : ''}
+          <div class="action-meta">${this.escapeHtml(meta)}</div>
+        </div>
+        ${restorable && !revision.current ? `<button class="btn btn-secondary btn-small" data-revision-id="${this.escapeHtml(revision.id)}">Restore</button>` : ''}
+      </div>`;
+    }).join('');
+  }
+
+  async restoreVersion(revisionId) {
+    const fileId = this.versionsFileId;
+    document.querySelectorAll('#versions-list [data-revision-id]').forEach(btn => { btn.disabled = true; });
+    try {
+      const res = await this.apiFetch(`/api/files/${encodeURIComponent(fileId)}/revisions/${encodeURIComponent(revisionId)}/restore`, { method: 'POST' });
+      const result = await res.json();
+      if (!result.success) throw new Error(result.message);
+      await this.showVersions(fileId);
+      this.showVersionsStatus(result.message, 'success');
+      this.loadActions();
+    } catch (error) {
+      if (!error.signInRequired) this.showVersionsStatus(`Could not restore the version: ${error.message}`, 'error');
+      document.querySelectorAll('#versions-list [data-revision-id]').forEach(btn => { btn.disabled = false; });
+    }
+  }
+
+  async handleChatMessage() {
+    const input = document.getElementById('chat-input');
+    const btn = document.getElementById('chat-send-btn');
+    const message = input.value.trim();
+    if (!message) return;
+
+    input.disabled = true;
+    btn.disabled = true;
+    this.addChatMessage(message, 'user');
+    input.value = '';
+
+    try {
+      this.chatHistory.push({ role: 'user', content: message });
+      const { content } = await this.streamChatReply();
+      if (content) this.chatHistory.push({ role: 'assistant', content });
+    } catch (error) {
+      this.addChatMessage(`Error: ${error.message}`, 'bot');
+    } finally {
+      input.disabled = false;
+      btn.disabled = false;
+      input.focus();
+    }
+  }
+
+  // Send the conversation to the Drive agent and stream its reply over SSE into a bubble
+  // that grows as deltas arrive, listing each Drive action the agent takes underneath.
+  // The Stop button aborts the fetch, which makes the server cancel the upstream request.
+  async streamChatReply() {
+    const sendBtn = document.getElementById('chat-send-btn');
+    const cancelBtn = document.getElementById('chat-cancel-btn');
+    const controller = new AbortController();
+    this.chatAbortController = controller;
+    sendBtn.classList.add('hidden');
+    cancelBtn.classList.remove('hidden');
+
+    const bubble = this.addChatMessage('…', 'bot');
+    let content = '';
+    let changedDrive = false;
+    let journaled = false;
+
+    try {
+      const res = await this.apiFetch('/api/agent', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          messages: this.chatHistory,
+          stream: true,
+          confirmActions: this.confirmActions,
+          includeShared: this.includeShared
+        }),
+        signal: controller.signal
+      });
+
+      // Errors such as "AI not configured" come back as plain JSON
+      if (!res.headers.get('Content-Type')?.includes('text/event-stream')) {
+        const result = await res.json();
+        const text = result.success ? result.message : `Sorry: ${result.message}`;
+        this.updateChatMessage(bubble, text);
+        return { content: result.success ? text : '' };
+      }
+
+      const reader = res.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) >= 0) {
+          const event = this.parseSseEvent(buffer.slice(0, boundary));
+          buffer = buffer.slice(boundary + 2);
+          if (event.type === 'error') {
+            throw SIGN_IN_ERROR_CODES.includes(event.data.code) ? this.signInRequired(event.data.code) : new Error(event.data.message);
+          }
+          if (event.type === 'action') {
+            this.appendChatAction(bubble, event.data);
+            if (event.data.actionId) journaled = true;
+            if (event.data.ok && event.data.mutates && !event.data.proposed) changedDrive = true;
+            continue;
+          }
+          if (event.type === 'done') {
+            content = event.data.message;
+            if (event.data.sources?.length) this.appendChatSources(bubble, event.data.sources);
+          } else if (event.data.delta) content += event.data.delta;
+          this.updateChatMessage(bubble, content || '…');
+        }
+      }
+      return { content };
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        this.updateChatMessage(bubble, content ? `${content}\n[stopped]` : '[stopped]');
+        return { content };
+      }
+      this.updateChatMessage(bubble, content ? `${content}\n[Error: ${error.message}]` : `Sorry: ${error.message}`);
+      return { content };
+    } finally {
+      if (changedDrive) this.loadFolderStructure();
+      if (journaled) this.loadActions();
+      this.chatAbortController = null;
+      cancelBtn.classList.add('hidden');
+      sendBtn.classList.remove('hidden');
+    }
+  }
+
+  appendChatAction(div, action) {
+    let list = div.querySelector('.chat-actions');
+    if (!list) {
+      list = document.createElement('ul');
+      list.className = 'chat-actions';
+      div.appendChild(list);
+    }
+    const item = document.createElement('li');
+    item.className = action.ok ? 'chat-action' : 'chat-action error';
+    item.textContent = `${action.ok ? '✓' : '✗'} ${action.summary}`;
+    list.appendChild(item);
+  }
+
+  // Files the reply cites as [n], linked to Drive
+  appendChatSources(div, sources) {
+    const list = document.createElement('ol');
+    list.className = 'chat-sources';
+    sources.forEach(source => {
+      const item = document.createElement('li');
+      item.value = source.n;
+      if (source.webViewLink) {
+        const link = document.createElement('a');
+        link.href = source.webViewLink;
+        link.target = '_blank';
+        link.className = 'file-link';
+        link.textContent = source.name;
+        item.appendChild(link);
+      } else {
+        item.textContent = source.name;
+      }
+      list.appendChild(item);
+    });
+    div.appendChild(list);
+  }
+
+  parseSseEvent(raw) {
+    const event = { type: 'message', data: {} };
+    raw.split('\n').forEach(line => {
+      if (line.startsWith('event:')) event.type = line.slice(6).trim();
+      else if (line.startsWith('data:')) {
+        try { event.data = JSON.parse(line.slice(5).trim()); } catch {}
+      }
     });
-    const result = await res.json();
-    return result.success ? result.message : `Sorry: ${result.message}`;
+    return event;
   }
 
   addChatMessage(content, role) {
@@ -553,6 +2245,14 @@ class GoogleDriveUploader {
     div.innerHTML = `<div class="message-content">${this.escapeHtml(content).replace(/\n/g, '<br>')}</div>`;
     messages.appendChild(div);
     messages.scrollTop = messages.scrollHeight;
+    return div;
+  }
+
+  updateChatMessage(div, content) {
+    const messages = document.getElementById('chat-messages');
+    const atBottom = messages.scrollHeight - messages.scrollTop - messages.clientHeight < 40;
+    div.querySelector('.message-content').innerHTML = this.escapeHtml(content).replace(/\n/g, '<br>');
+    if (atBottom) messages.scrollTop = messages.scrollHeight;
   }
 
   async loadVisitorCount() {
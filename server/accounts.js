@@ -0,0 +1,101 @@
+const { httpError } = require('./errors');
+
+// Google accounts linked to one browser session, so work and personal Drives can stay
+// signed in side by side:
+//   session.tokens         { [email]: OAuth token set } (encrypted by the session store)
+//   session.accounts       { [email]: { id, email, name, linkedAt, actionJournal } }
+//   session.activeAccount  email used when a request doesn't name an account
+// Drive routes take an optional `account` (email) parameter to pick one explicitly.
+// Each account keeps its own action journal, since undoing a move needs the same Drive.
+
+function notLinked(email) {
+  return httpError(404, `Account "${email}" is not linked`);
+}
+
+function getAccount(session, email) {
+  return (email && session.accounts?.[email]) || null;
+}
+
+function getTokens(session, email) {
+  return (email && session.tokens?.[email]) || null;
+}
+
+// The account a request works on: the one it names, else the active one (null when none)
+function resolveAccount(session, requested) {
+  if (requested) {
+    if (!getAccount(session, requested)) throw notLinked(requested);
+    return requested;
+  }
+  return session.activeAccount || null;
+}
+
+// Client-facing list. Accounts whose tokens Google revoked stay listed until signed in again.
+function listAccounts(session) {
+  return Object.values(session.accounts || {}).map(({ id, email, name, linkedAt }) => ({
+    id,
+    email,
+    name,
+    linkedAt,
+    active: email === session.activeAccount,
+    reauthRequired: !getTokens(session, email)
+  }));
+}
+
+// Add or refresh an account after sign-in and make it the active one.
+// `profile` is { id, email, name } from drive.getAccount.
+function linkAccount(session, profile, tokens) {
+  const existing = getAccount(session, profile.email);
+  // Google only sends a refresh token on first consent; keep the one we already have
+  session.tokens = { ...session.tokens, [profile.email]: { ...getTokens(session, profile.email), ...tokens } };
+  session.accounts = {
+    ...session.accounts,
+    [profile.email]: { ...existing, ...profile, linkedAt: existing?.linkedAt || new Date().toISOString() }
+  };
+  session.activeAccount = profile.email;
+}
+
+function setActiveAccount(session, email) {
+  if (!getAccount(session, email)) throw notLinked(email);
+  session.activeAccount = email;
+}
+
+// Forget an account; another signed-in account becomes active if this one was
+function unlinkAccount(session, email) {
+  if (!getAccount(session, email)) return false;
+  delete session.accounts[email];
+  if (session.tokens) delete session.tokens[email];
+  if (session.activeAccount === email) {
+    const remaining = Object.keys(session.accounts);
+    session.activeAccount = remaining.find(e => getTokens(session, e)) || remaining[0];
+  }
+  return true;
+}
+
+// Drop an account's tokens after Google rejected them; the user signs in to it again
+function expireAccount(session, email) {
+  if (session.tokens) delete session.tokens[email];
+}
+
+// Sessions from before multiple accounts kept one token set (and journal) at the top level.
+// Re-key them by the cached account email; without one the user simply signs in again.
+function migrateLegacySession(session) {
+  const { tokens, account, actionJournal } = session;
+  if (!tokens || !(tokens.access_token || tokens.refresh_token)) return;
+  delete session.tokens;
+  delete session.account;
+  delete session.actionJournal;
+  if (account?.email) linkAccount(session, { id: account.id, email: account.email, name: account.name }, tokens);
+  if (account?.email && actionJournal) session.accounts[account.email].actionJournal = actionJournal;
+}
+
+module.exports = {
+  getAccount,
+  getTokens,
+  resolveAccount,
+  listAccounts,
+  linkAccount,
+  setActiveAccount,
+  unlinkAccount,
+  expireAccount,
+  migrateLegacySession
+};
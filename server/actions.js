@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const driveOps = require('./drive');
+const revisions = require('./revisions');
+const driveCache = require('./drive-cache');
+const { isAuthError } = require('./oauth');
+const { httpError } = require('./errors');
+
+// Journal of Drive mutations, kept per session. Each entry is a plain object so it
+// serializes with the session:
+//   { id, type, status, source, createdAt, description, ...type-specific fields }
+// type:   'move_file' | 'create_folder' | 'create_folder_tree' | 'trash_file' | 'restore_revision' | 'rename_file'
+//         | 'organize_files' (a bulk organize run: its applied moves and folders, in `steps`)
+// status: 'proposed' -> 'applied' -> 'undone', or 'rejected' / 'failed'
+// Entries keep what is needed to revert them (previous parents, created IDs, the version
+// that was current before a restore).
+
+const MAX_JOURNAL_ENTRIES = 50;
+
+// Placeholder ID for a folder that only exists as a pending proposal, so follow-up
+// proposals (e.g. "move X into the new folder") can refer to it before approval.
+const PROPOSED_ID_PREFIX = 'proposed:';
+
+function getJournal(session) {
+  if (!session.actionJournal) session.actionJournal = [];
+  return session.actionJournal;
+}
+
+function findAction(session, id) {
+  return getJournal(session).find(a => a.id === id) || null;
+}
+
+function describeAction(action) {
+  if (action.type === 'move_file') {
+    return `Move "${action.fileName || action.fileId}" to "${action.folderName || action.folderId}"`;
+  }
+  if (action.type === 'create_folder') {
+    return `Create folder "${action.name}"${action.parentName ? ` in "${action.parentName}"` : ''}`;
+  }
+  if (action.type === 'create_folder_tree') {
+    const subfolders = action.paths.length - 1;
+    return `Create folder "${action.name}"${subfolders ? ` with ${subfolders} subfolder${subfolders === 1 ? '' : 's'}` : ''}${action.parentName ? ` in "${action.parentName}"` : ''}`;
+  }
+  if (action.type === 'organize_files') {
+    const moves = action.steps.filter(step => step.type === 'move_file').length;
+    return `Organize ${moves} file${moves === 1 ? '' : 's'} from "${action.folderName}"`;
+  }
+  if (action.type === 'trash_file') {
+    return `Move "${action.fileName || action.fileId}" to the trash`;
+  }
+  if (action.type === 'rename_file') {
+    return `Rename "${action.fileName || action.fileId}" to "${action.newName}"`;
+  }
+  if (action.type === 'restore_revision') {
+    return `Restore "${action.fileName || action.fileId}" to the version from ${action.revisionTime || action.revisionId}`;
+  }
+  return action.type;
+}
+
+// Build a proposed action without journaling it (bulk jobs keep their own list)
+function createAction(fields) {
+  const action = {
+    id: crypto.randomUUID(),
+    status: 'proposed',
+    createdAt: new Date().toISOString(),
+    ...fields
+  };
+  action.description = describeAction(action);
+  return action;
+}
+
+// Add an action built elsewhere (e.g. by a bulk job) to the journal, newest first
+function journalAction(session, action) {
+  const journal = getJournal(session);
+  journal.unshift(action);
+  if (journal.length > MAX_JOURNAL_ENTRIES) journal.length = MAX_JOURNAL_ENTRIES;
+  return action;
+}
+
+function recordAction(session, fields) {
+  return journalAction(session, createAction(fields));
+}
+
+// Turn a proposed-folder placeholder into the real folder ID once that proposal is applied
+function resolveId(session, id) {
+  if (!id || !id.startsWith(PROPOSED_ID_PREFIX)) return id;
+  const proposal = findAction(session, id.slice(PROPOSED_ID_PREFIX.length));
+  if (!proposal || proposal.status !== 'applied') {
+    const err = httpError(409, `Approve "${proposal?.description || 'the folder creation'}" first`);
+    err.pending = true;
+    throw err;
+  }
+  return proposal.createdId;
+}
+
+// Human-readable name for a file or folder ID, used in journal descriptions
+async function lookupName(drive, session, id) {
+  if (!id || id === 'root') return 'My Drive';
+  if (id.startsWith(PROPOSED_ID_PREFIX)) {
+    return findAction(session, id.slice(PROPOSED_ID_PREFIX.length))?.name || id;
+  }
+  try {
+    const file = await drive.files.get({ fileId: id, fields: 'name', supportsAllDrives: true });
+    return file.data.name;
+  } catch {
+    return id;
+  }
+}
+
+// Execute a proposed action against the Drive and mark it applied. Returns the Drive result.
+async function applyAction(drive, session, action) {
+  if (action.status !== 'proposed') throw httpError(409, `Action is already ${action.status}`);
+
+  let result;
+  try {
+    if (action.type === 'move_file') {
+      const folderId = resolveId(session, action.folderId);
+      const moved = await driveOps.moveFile(drive, action.fileId, folderId);
+      action.folderId = folderId;
+      action.previousParents = moved.previousParents;
+      result = moved.file;
+    } else if (action.type === 'create_folder') {
+      const parentId = resolveId(session, action.parentId || 'root');
+      result = await driveOps.createFolder(drive, { name: action.name, parentId });
+      action.parentId = parentId;
+      action.createdId = result.id;
+      action.webViewLink = result.webViewLink;
+    } else if (action.type === 'create_folder_tree') {
+      const parentId = resolveId(session, action.parentId || 'root');
+      const folders = await createFolderTree(drive, parentId, action.paths);
+      action.parentId = parentId;
+      action.createdId = folders[action.name];
+      result = { id: action.createdId, folders };
+    } else if (action.type === 'trash_file') {
+      await driveOps.trashFile(drive, action.fileId);
+      result = { id: action.fileId };
+    } else if (action.type === 'rename_file') {
+      result = await driveOps.renameFile(drive, action.fileId, action.newName);
+    } else if (action.type === 'restore_revision') {
+      const restored = await revisions.restoreRevision(drive, action.fileId, action.revisionId);
+      action.previousRevisionId = restored.previousRevisionId;
+      result = restored.file;
+    } else {
+      throw new Error(`Unknown action type "${action.type}"`);
+    }
+  } catch (error) {
+    // Unresolved placeholders leave the proposal pending so it can be approved later
+    if (!error.pending) {
+      action.status = 'failed';
+      action.error = error.message;
+    }
+    throw error;
+  }
+
+  action.status = 'applied';
+  action.appliedAt = new Date().toISOString();
+  driveCache.markStale(session?.id);
+  return result;
+}
+
+// Create the folders of a create_folder_tree action, parents first (paths are relative, all under
+// one top-level folder). On failure the part already created is trashed again, so nothing is left
+// outside the journal. Resolves with { [relative path]: folder ID }.
+async function createFolderTree(drive, parentId, paths) {
+  const folders = {};
+  try {
+    for (const relativePath of paths) {
+      const parts = relativePath.split('/');
+      const parentPath = parts.slice(0, -1).join('/');
+      const folder = await driveOps.createFolder(drive, {
+        name: parts[parts.length - 1],
+        parentId: parentPath ? folders[parentPath] : parentId
+      });
+      folders[relativePath] = folder.id;
+    }
+  } catch (error) {
+    const root = folders[paths[0]];
+    if (root) await driveOps.trashFile(drive, root).catch(() => {});
+    throw error;
+  }
+  return folders;
+}
+
+// Record and immediately apply a mutation that does not need approval
+async function performAction(drive, session, fields) {
+  const action = recordAction(session, fields);
+  const result = await applyAction(drive, session, action);
+  return { action, result };
+}
+
+function rejectAction(action) {
+  if (action.status !== 'proposed') throw httpError(409, `Action is already ${action.status}`);
+  action.status = 'rejected';
+}
+
+// Revert an applied action: moves go back to their previous parents, created folders
+// are moved to the trash (only while empty, so nothing moved in later is lost), a
+// created folder tree goes to the trash whole, with the files uploaded into it, an
+// organize run undoes its steps newest first (see undoSteps),
+// trashed files are restored and renamed files get their old name back. Restored
+// versions are undone by restoring the version that was current before.
+async function undoAction(drive, session, action) {
+  if (action.status !== 'applied') throw httpError(409, `Only applied actions can be undone (this one is ${action.status})`);
+
+  if (action.type === 'move_file') {
+    const previousParents = action.previousParents?.length ? action.previousParents.join(',') : 'root';
+    await driveOps.moveFile(drive, action.fileId, previousParents);
+  } else if (action.type === 'create_folder') {
+    if (await driveOps.hasChildren(drive, action.createdId)) {
+      throw httpError(409, `Folder "${action.name}" is not empty; undo the moves into it first`);
+    }
+    await driveOps.trashFile(drive, action.createdId);
+  } else if (action.type === 'create_folder_tree') {
+    await driveOps.trashFile(drive, action.createdId);
+  } else if (action.type === 'organize_files') {
+    await undoSteps(drive, session, action.steps);
+  } else if (action.type === 'trash_file') {
+    await driveOps.restoreFile(drive, action.fileId);
+  } else if (action.type === 'rename_file') {
+    await driveOps.renameFile(drive, action.fileId, action.fileName);
+  } else if (action.type === 'restore_revision') {
+    await revisions.restoreRevision(drive, action.fileId, action.previousRevisionId);
+  }
+
+  action.status = 'undone';
+  action.undoneAt = new Date().toISOString();
+  driveCache.markStale(session?.id);
+  return action;
+}
+
+// Undo the applied steps of a grouped action, newest first, so files leave a created folder
+// before it is trashed. Steps that fail stay applied and the error lists them (as
+// error.failures); undoing the group again retries just those.
+async function undoSteps(drive, session, steps) {
+  const failures = [];
+  for (const step of [...steps].reverse()) {
+    if (step.status !== 'applied') continue;
+    try {
+      await undoAction(drive, session, step);
+    } catch (error) {
+      if (isAuthError(error)) throw error;
+      failures.push(`${step.fileName || step.name}: ${error.message}`);
+    }
+  }
+  if (failures.length) {
+    const err = httpError(409, `Some changes could not be undone: ${failures.join('; ')}`);
+    err.failures = failures;
+    throw err;
+  }
+}
+
+module.exports = {
+  PROPOSED_ID_PREFIX,
+  getJournal,
+  findAction,
+  createAction,
+  journalAction,
+  recordAction,
+  lookupName,
+  applyAction,
+  performAction,
+  rejectAction,
+  undoAction
+};
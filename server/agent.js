@@ -0,0 +1,253 @@
+const driveOps = require('./drive');
+const actions = require('./actions');
+const search = require('./search');
+const { isAuthError } = require('./oauth');
+
+const MAX_STEPS = 8;
+const MAX_TOOL_RESULT_CHARS = 8000;
+
+// Tools exposed to the model. Each wraps the same Drive operation as the matching API route.
+// `mutates` marks tools that change the Drive; those go through the action journal and, when
+// the user asked to confirm changes, are only recorded as proposals instead of being applied.
+const TOOLS = {
+  list_folder_tree: {
+    description: 'List every folder in the user\'s Drive with its ID and full path. Use this to find folder IDs.',
+    parameters: { type: 'object', properties: {} },
+    run: async ({ drive, driveReader, includeShared }) => {
+      const allFolders = await driveReader.listAllFolders(drive, { includeShared });
+      const paths = driveOps.buildFolderPaths(allFolders);
+      const folders = allFolders
+        .map(f => ({ id: f.id, path: paths.get(f.id) }))
+        .sort((a, b) => a.path.localeCompare(b.path));
+      return { result: { folders }, summary: `Listed ${folders.length} folder(s)` };
+    }
+  },
+
+  search_files: {
+    description: 'Search files and folders by name or content, type, folder (optionally with its subfolders), owner, star and dates. '
+      + 'Returns up to 25 results; pass next_page_token back as page_token for more.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Text the name must contain. Omit to match any name.' },
+        full_text: { type: 'string', description: 'Text the name, description or content must contain' },
+        type: { type: 'string', enum: Object.keys(search.TYPE_CATEGORIES), description: 'Kind of item, e.g. folder or spreadsheet' },
+        folder_id: { type: 'string', description: 'Only items in this folder' },
+        include_subfolders: { type: 'boolean', description: 'With folder_id, also search its subfolders' },
+        owner: { type: 'string', description: 'Owner email address, or "me"' },
+        starred: { type: 'boolean', description: 'Only starred (true) or unstarred (false) items' },
+        created_after: { type: 'string', description: 'ISO 8601 date/time; only items created after it' },
+        modified_after: { type: 'string', description: 'ISO 8601 date/time; only items modified after it' },
+        modified_before: { type: 'string', description: 'ISO 8601 date/time; only items modified before it' },
+        page_token: { type: 'string', description: 'next_page_token from a previous search with the same filters' }
+      }
+    },
+    run: async ({ drive, driveReader }, args) => {
+      const { files, nextPageToken } = await search.searchFiles(drive, {
+        name: args.query,
+        fullText: args.full_text,
+        type: args.type,
+        folderId: args.folder_id,
+        includeDescendants: args.include_subfolders,
+        owner: args.owner,
+        starred: args.starred,
+        createdAfter: args.created_after,
+        modifiedAfter: args.modified_after,
+        modifiedBefore: args.modified_before,
+        pageToken: args.page_token,
+        pageSize: 25
+      }, { driveReader });
+      const searched = args.query || args.full_text;
+      return {
+        result: { files, next_page_token: nextPageToken },
+        summary: `Searched${searched ? ` for "${searched}"` : ''}: ${files.length} result(s)${nextPageToken ? ', more available' : ''}`
+      };
+    }
+  },
+
+  search_file_contents: {
+    description: 'Search inside the user\'s files (documents, PDFs, text and code files) by meaning and get the best-matching excerpts, '
+      + 'each with a source number. Use it to answer questions about what files say, and cite the sources you use as [n].',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'What to look for, e.g. "travel budget Q3"' }
+      },
+      required: ['query']
+    },
+    run: async ({ fileIndex, sources }, args) => {
+      if (!fileIndex) throw new Error('The file index has not been built. The user can build it under Search Drive.');
+      const results = await fileIndex.search(args.query);
+      const excerpts = fileIndex.cite(results || [], sources);
+      return {
+        result: { excerpts },
+        summary: `Searched file contents for "${args.query}": ${new Set(excerpts.map(e => e.source)).size} file(s)`
+      };
+    }
+  },
+
+  get_latest_file: {
+    description: 'Get the most recently modified file in the user\'s Drive.',
+    parameters: { type: 'object', properties: {} },
+    run: async ({ drive, driveReader }) => {
+      const file = await driveReader.getLatestFile(drive);
+      return { result: { file }, summary: file ? `Latest file is "${file.name}"` : 'No files found' };
+    }
+  },
+
+  create_folder: {
+    description: 'Create a new folder.',
+    mutates: true,
+    parameters: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Name of the new folder' },
+        parent_id: { type: 'string', description: 'ID of the parent folder; omit or use "root" for My Drive' }
+      },
+      required: ['name']
+    },
+    run: async ({ drive, session, propose }, args) => {
+      const parentId = args.parent_id || 'root';
+      const action = actions.recordAction(session, {
+        type: 'create_folder',
+        source: 'agent',
+        name: args.name,
+        parentId,
+        parentName: parentId === 'root' ? undefined : await actions.lookupName(drive, session, parentId)
+      });
+      if (propose) {
+        const folder = { id: `${actions.PROPOSED_ID_PREFIX}${action.id}`, name: args.name };
+        return {
+          action,
+          result: { proposed: true, folder, note: 'Awaiting user approval. Use this ID to propose moves into the new folder.' },
+          summary: `Proposed: ${action.description}`
+        };
+      }
+      const folder = await actions.applyAction(drive, session, action);
+      return { action, result: { folder }, summary: `Created folder "${folder.name}"` };
+    }
+  },
+
+  move_file: {
+    description: 'Move a file or folder into another folder.',
+    mutates: true,
+    parameters: {
+      type: 'object',
+      properties: {
+        file_id: { type: 'string', description: 'ID of the file or folder to move' },
+        destination_folder_id: { type: 'string', description: 'ID of the destination folder, or "root" for My Drive' }
+      },
+      required: ['file_id', 'destination_folder_id']
+    },
+    run: async ({ drive, session, propose }, args) => {
+      const action = actions.recordAction(session, {
+        type: 'move_file',
+        source: 'agent',
+        fileId: args.file_id,
+        fileName: await actions.lookupName(drive, session, args.file_id),
+        folderId: args.destination_folder_id,
+        folderName: await actions.lookupName(drive, session, args.destination_folder_id)
+      });
+      if (propose) {
+        return { action, result: { proposed: true, note: 'Awaiting user approval.' }, summary: `Proposed: ${action.description}` };
+      }
+      const file = await actions.applyAction(drive, session, action);
+      return { action, result: { file }, summary: `Moved "${file.name}" to "${action.folderName}"` };
+    }
+  }
+};
+
+const TOOL_DEFINITIONS = Object.entries(TOOLS).map(([name, tool]) => ({
+  type: 'function',
+  function: { name, description: tool.description, parameters: tool.parameters }
+}));
+
+function buildSystemPrompt(driveContext, propose) {
+  return [
+    'You are a Google Drive assistant that can act on the user\'s Drive with the provided tools.',
+    `Today is ${new Date().toISOString().slice(0, 10)}.`,
+    'Look up IDs with list_folder_tree or search_files before creating or moving anything; never invent IDs.',
+    'For questions about what the user\'s files say, use search_file_contents and cite the excerpts you rely on as [n].',
+    'Plan multi-step requests and call tools one after another until the task is done, then answer briefly',
+    'and mention what you changed. If a request is ambiguous, ask instead of guessing.',
+    propose ? 'Changes are not applied immediately: create_folder and move_file only propose them, and the user approves them in the app. Say so in your answer.' : '',
+    driveContext || ''
+  ].filter(Boolean).join(' ');
+}
+
+async function executeToolCall(ctx, call) {
+  const tool = TOOLS[call.function?.name];
+  let args = {};
+  try {
+    args = call.function.arguments ? JSON.parse(call.function.arguments) : {};
+  } catch {
+    return { action: { tool: call.function?.name, args: {}, ok: false, summary: 'Invalid tool arguments' }, output: { error: 'Arguments were not valid JSON' } };
+  }
+  if (!tool) {
+    return { action: { tool: call.function?.name, args, ok: false, summary: 'Unknown tool' }, output: { error: `Unknown tool "${call.function?.name}"` } };
+  }
+
+  try {
+    const { result, summary, action } = await tool.run(ctx, args);
+    return {
+      action: {
+        tool: call.function.name,
+        args,
+        ok: true,
+        mutates: !!tool.mutates,
+        summary,
+        actionId: action?.id,
+        proposed: action?.status === 'proposed'
+      },
+      output: result
+    };
+  } catch (error) {
+    // Sign-in problems end the run, so the client gets REAUTH_REQUIRED rather than a chat reply
+    if (isAuthError(error)) throw error;
+    console.error(`[Agent] Tool ${call.function.name} failed:`, error.message);
+    return { action: { tool: call.function.name, args, ok: false, mutates: !!tool.mutates, summary: error.message }, output: { error: error.message } };
+  }
+}
+
+// Run the tool-calling loop until the model answers without requesting tools.
+// Resolves with { message, actions, sources } where actions logs every tool call in order
+// and sources lists the files search_file_contents returned, numbered as the model cites them.
+// onDelta streams the model's text as it is generated, onAction reports each tool call as it completes.
+// Mutations are journaled in `session`; with `propose` they are left for the user to approve.
+// includeShared adds shared drives and folders shared with the user to the folder tree tool.
+// fileIndex ({ search, cite }) backs search_file_contents; without it the tool reports that there is no index.
+// driveReader serves the folder tree and latest file: drive.js by default, or the account's cache (drive-cache.js).
+async function runDriveAgent({ llm, drive, driveReader = driveOps, session, propose, includeShared = false, fileIndex, messages, driveContext, signal, onDelta, onAction = () => {} }) {
+  const sources = [];
+  const ctx = { drive, driveReader, session, propose, includeShared, fileIndex, sources };
+  const conversation = [{ role: 'system', content: buildSystemPrompt(driveContext, propose) }, ...messages];
+  const actions = [];
+
+  for (let step = 0; step < MAX_STEPS; step++) {
+    const request = { messages: conversation, tools: TOOL_DEFINITIONS, tool_choice: 'auto' };
+    const { content, message } = onDelta
+      ? await llm.stream({ ...request, signal, onDelta })
+      : await llm.complete(request);
+
+    if (!message.tool_calls?.length) {
+      return { message: content, actions, sources };
+    }
+
+    conversation.push({ role: 'assistant', content: content || null, tool_calls: message.tool_calls });
+    for (const call of message.tool_calls) {
+      if (signal?.aborted) return { message: content, actions, sources };
+      const { action, output } = await executeToolCall(ctx, call);
+      actions.push(action);
+      onAction(action);
+      conversation.push({
+        role: 'tool',
+        tool_call_id: call.id,
+        content: JSON.stringify(output).slice(0, MAX_TOOL_RESULT_CHARS)
+      });
+    }
+  }
+
+  return { message: `I stopped after ${MAX_STEPS} steps without finishing. Here is what I did so far.`, actions, sources };
+}
+
+module.exports = { TOOLS, runDriveAgent };
@@ -0,0 +1,12 @@
+const os = require('os');
+const path = require('path');
+
+// Where the server keeps its state (file sessions, routing rules, the file index) unless a more
+// specific variable such as SESSION_DIR is set. DATA_DIR defaults to a directory under the OS temp
+// directory, outside the source tree, which is fine for development; in production the server
+// refuses to start with file sessions and no DATA_DIR or SESSION_DIR (see index.js).
+function dataPath(name, env = process.env) {
+  return path.join(env.DATA_DIR || path.join(os.tmpdir(), 'gdrive-organizer'), name);
+}
+
+module.exports = { dataPath };
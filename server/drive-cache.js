@@ -0,0 +1,239 @@
+const driveOps = require('./drive');
+
+// Per-account cache of the folder tree and recent file metadata, kept current with the
+// Drive Changes API instead of re-listing every folder on each request.
+//
+// The first read lists everything once (all folders, shared drives and the most recently
+// modified files) and stores a changes start page token taken just before. Later reads
+// fetch only what changed since that token (usually one small request) and apply it.
+// Reads within CHECK_INTERVAL_MS of the last check skip even that, so a burst of uploads
+// shares one check. An expired token or a forced resync falls back to the full listing.
+// Changes the app makes itself (actions.js) mark the cache stale, so the next read checks
+// the changes feed right away instead of returning the old tree for up to CHECK_INTERVAL_MS.
+//
+// createDriveReader returns an object with the same read methods as drive.js, so callers
+// that take a `driveReader` (matching, organize, search, the agent) work with either.
+// Caches live in memory and are dropped after IDLE_TTL_MS without use.
+
+const CHECK_INTERVAL_MS = 2000;
+const IDLE_TTL_MS = 60 * 60 * 1000;
+const MAX_CACHED_FILES = 1000;
+
+const CHANGE_FIELDS = 'nextPageToken, newStartPageToken, changes(changeType, removed, fileId, driveId, '
+  + `drive(id, name), file(${driveOps.RECENT_FILE_FIELDS}, trashed))`;
+
+const caches = new Map(); // accountId -> cache
+
+function pruneCaches() {
+  const cutoff = Date.now() - IDLE_TTL_MS;
+  caches.forEach((cache, accountId) => {
+    if (cache.usedAt < cutoff && !cache.syncing) caches.delete(accountId);
+  });
+}
+
+function getCache(accountId) {
+  pruneCaches();
+  if (!caches.has(accountId)) {
+    caches.set(accountId, {
+      pageToken: null,
+      folders: new Map(),
+      sharedDrives: new Map(),
+      files: new Map(),
+      syncedAt: null,
+      checkedAt: 0,
+      writes: 0,
+      changesApplied: 0,
+      syncing: null
+    });
+  }
+  const cache = caches.get(accountId);
+  cache.usedAt = Date.now();
+  return cache;
+}
+
+function folderRecord(file) {
+  const { id, name, parents, driveId, ownedByMe } = file;
+  return { id, name, parents, driveId, ownedByMe };
+}
+
+function fileRecord(file) {
+  const { id, name, mimeType, parents, driveId, ownedByMe, size, md5Checksum, modifiedTime, webViewLink } = file;
+  return { id, name, mimeType, parents, driveId, ownedByMe, size, md5Checksum, modifiedTime, webViewLink };
+}
+
+// Keep the most recently modified files once the map grows well past the limit
+function trimFiles(cache) {
+  if (cache.files.size <= MAX_CACHED_FILES * 1.5) return;
+  const newest = [...cache.files.values()]
+    .sort((a, b) => (b.modifiedTime || '').localeCompare(a.modifiedTime || ''))
+    .slice(0, MAX_CACHED_FILES);
+  cache.files = new Map(newest.map(f => [f.id, f]));
+}
+
+async function fullSync(drive, cache) {
+  // Take the token first, so changes made while listing are replayed rather than lost
+  const { data } = await drive.changes.getStartPageToken({ supportsAllDrives: true });
+  const [allFolders, files] = await Promise.all([
+    driveOps.listAllFolders(drive, { includeShared: true }),
+    driveOps.listRecentFiles(drive, { limit: MAX_CACHED_FILES })
+  ]);
+
+  cache.folders = new Map();
+  cache.sharedDrives = new Map();
+  allFolders.forEach(folder => {
+    if (folder.isSharedDrive) cache.sharedDrives.set(folder.id, { id: folder.id, name: folder.name });
+    else cache.folders.set(folder.id, folderRecord(folder));
+  });
+  cache.files = new Map(files.map(f => [f.id, fileRecord(f)]));
+  cache.pageToken = data.startPageToken;
+  cache.syncedAt = new Date().toISOString();
+  cache.changesApplied = 0;
+}
+
+function applyChange(cache, change) {
+  if (change.changeType === 'drive') {
+    if (change.removed || !change.drive) {
+      // Leaving a shared drive takes its folders out of view too
+      cache.sharedDrives.delete(change.driveId);
+      cache.folders.forEach((folder, id) => { if (folder.driveId === change.driveId) cache.folders.delete(id); });
+    } else {
+      cache.sharedDrives.set(change.driveId, { id: change.drive.id, name: change.drive.name });
+    }
+    return;
+  }
+  const file = change.file;
+  cache.folders.delete(change.fileId);
+  cache.files.delete(change.fileId);
+  if (change.removed || !file || file.trashed) return;
+  if (file.mimeType === driveOps.FOLDER_MIME_TYPE) cache.folders.set(file.id, folderRecord(file));
+  else cache.files.set(file.id, fileRecord(file));
+}
+
+async function fetchChanges(drive, cache) {
+  let pageToken = cache.pageToken;
+  while (pageToken) {
+    const { data } = await drive.changes.list({
+      pageToken,
+      fields: CHANGE_FIELDS,
+      pageSize: 1000,
+      includeRemoved: true,
+      includeItemsFromAllDrives: true,
+      supportsAllDrives: true
+    });
+    (data.changes || []).forEach(change => applyChange(cache, change));
+    cache.changesApplied += (data.changes || []).length;
+    if (data.newStartPageToken) cache.pageToken = data.newStartPageToken;
+    pageToken = data.nextPageToken;
+  }
+  trimFiles(cache);
+}
+
+// Bring the cache up to date; concurrent callers share one sync. A caller that arrives
+// during a sync checks again once it is done, in case a write made that sync outdated.
+function sync(drive, cache, { force = false } = {}) {
+  if (cache.syncing) return cache.syncing.then(() => sync(drive, cache, { force }));
+  if (!force && cache.pageToken && Date.now() - cache.checkedAt < CHECK_INTERVAL_MS) return Promise.resolve();
+
+  const writes = cache.writes;
+  cache.syncing = (async () => {
+    try {
+      if (force || !cache.pageToken) {
+        await fullSync(drive, cache);
+      } else {
+        try {
+          await fetchChanges(drive, cache);
+        } catch (error) {
+          // An expired or unknown page token means starting over
+          if (![400, 404, 410].includes(error.code || error.status)) throw error;
+          console.warn('[Cache] Change token rejected, resyncing:', error.message);
+          await fullSync(drive, cache);
+        }
+      }
+      // A write during the sync may not be in what was fetched, so leave the cache due for a check
+      cache.checkedAt = cache.writes === writes ? Date.now() : 0;
+    } finally {
+      cache.syncing = null;
+    }
+  })();
+  return cache.syncing;
+}
+
+// Same result as driveOps.listAllFolders, from the cache
+function cachedFolders(cache, { includeShared = false } = {}) {
+  const folders = [...cache.folders.values()];
+  if (!includeShared) return folders.filter(f => f.ownedByMe && !f.driveId);
+  const sharedDrives = [...cache.sharedDrives.values()];
+  return [...sharedDrives.map(d => ({ id: d.id, name: d.name, driveId: d.id, isSharedDrive: true })), ...folders];
+}
+
+// Same result as driveOps.listRecentFiles, from the cache
+function cachedRecentFiles(cache, { limit = MAX_CACHED_FILES } = {}) {
+  return [...cache.files.values()]
+    .filter(file => file.ownedByMe)
+    .sort((a, b) => (b.modifiedTime || '').localeCompare(a.modifiedTime || ''))
+    .slice(0, limit);
+}
+
+// Same result as driveOps.getLatestFile, from the cache
+function cachedLatestFile(cache) {
+  const [latest] = cachedRecentFiles(cache, { limit: 1 });
+  if (!latest) return null;
+  const parent = cache.folders.get(latest.parents?.[0]);
+  return { ...latest, parentName: parent ? parent.name : 'My Drive' };
+}
+
+// Drive reader for one account: listAllFolders, listRecentFiles and getLatestFile read the synced cache
+function createDriveReader(accountId) {
+  return {
+    ...driveOps,
+    listAllFolders: async (drive, options) => {
+      const cache = getCache(accountId);
+      await sync(drive, cache);
+      return cachedFolders(cache, options);
+    },
+    listRecentFiles: async (drive, options) => {
+      const cache = getCache(accountId);
+      await sync(drive, cache);
+      return cachedRecentFiles(cache, options);
+    },
+    getLatestFile: async (drive) => {
+      const cache = getCache(accountId);
+      await sync(drive, cache);
+      return cachedLatestFile(cache);
+    }
+  };
+}
+
+// Called after the app changes the Drive: the next read of the account's cache (or of every
+// cache, when the account is not known) fetches the changes feed instead of waiting out
+// CHECK_INTERVAL_MS
+function markStale(accountId) {
+  const stale = accountId ? [caches.get(accountId)] : [...caches.values()];
+  stale.filter(Boolean).forEach(cache => {
+    cache.writes++;
+    cache.checkedAt = 0;
+  });
+}
+
+// Drop everything and list the Drive again
+async function resync(drive, accountId) {
+  const cache = getCache(accountId);
+  if (cache.syncing) await cache.syncing.catch(() => {});
+  await sync(drive, cache, { force: true });
+}
+
+function getStatus(accountId) {
+  const cache = caches.get(accountId);
+  return {
+    synced: !!cache?.pageToken,
+    syncing: !!cache?.syncing,
+    folderCount: cache?.folders.size || 0,
+    sharedDriveCount: cache?.sharedDrives.size || 0,
+    fileCount: cache?.files.size || 0,
+    syncedAt: cache?.syncedAt || null,
+    checkedAt: cache?.checkedAt ? new Date(cache.checkedAt).toISOString() : null,
+    changesApplied: cache?.changesApplied || 0
+  };
+}
+
+module.exports = { createDriveReader, markStale, resync, getStatus };
@@ -0,0 +1,239 @@
+// Google Drive operations shared by the API routes and the chat agent
+
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+// Request flags for calls that may touch shared drives. Every call that takes a file ID
+// passes supportsAllDrives, so files in shared drives can be read, moved and trashed.
+const ALL_DRIVES = { supportsAllDrives: true, includeItemsFromAllDrives: true, corpora: 'allDrives' };
+
+// Escape a value for use inside a single-quoted Drive query string
+function escapeQueryValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+}
+
+// Shared drives the user is a member of, as { id, name }
+async function listSharedDrives(drive) {
+  const drives = [];
+  let nextPageToken = null;
+  do {
+    const response = await drive.drives.list({
+      fields: 'nextPageToken, drives(id, name)',
+      pageSize: 100,
+      pageToken: nextPageToken
+    });
+    drives.push(...(response.data.drives || []));
+    nextPageToken = response.data.nextPageToken;
+  } while (nextPageToken);
+  return drives;
+}
+
+// Folders the user owns. With includeShared, also folders shared with the user and the
+// folders of every shared drive; each shared drive is listed as a top-level folder
+// ({ id: driveId, name, driveId, isSharedDrive: true }) so its folders nest below it.
+async function listAllFolders(drive, { includeShared = false } = {}) {
+  const allFolders = [];
+  let nextPageToken = null;
+
+  do {
+    const response = await drive.files.list({
+      q: `mimeType='${FOLDER_MIME_TYPE}' and trashed=false${includeShared ? '' : " and 'me' in owners"}`,
+      fields: 'nextPageToken, files(id, name, parents, driveId, ownedByMe)',
+      pageSize: 1000,
+      pageToken: nextPageToken,
+      ...(includeShared && ALL_DRIVES)
+    });
+    allFolders.push(...(response.data.files || []));
+    nextPageToken = response.data.nextPageToken;
+  } while (nextPageToken);
+
+  if (!includeShared) return allFolders;
+  const sharedDrives = await listSharedDrives(drive);
+  return [...sharedDrives.map(d => ({ id: d.id, name: d.name, driveId: d.id, isSharedDrive: true })), ...allFolders];
+}
+
+// Shared with the user, outside any shared drive, and not under a folder we can see
+function isSharedWithMeRoot(folder, byId) {
+  return folder.ownedByMe === false && !folder.driveId && !byId.has(folder.parents?.[0]);
+}
+
+const SHARED_WITH_ME = 'Shared with me';
+
+// Map folder ID -> full path such as "Work/Clients/Acme" or "Team Drive/Specs". Folders
+// whose parent is not in the list start a new path; those shared with the user (not
+// owned, outside shared drives) start under "Shared with me".
+function buildFolderPaths(allFolders) {
+  const byId = new Map(allFolders.map(f => [f.id, f]));
+  const paths = new Map();
+
+  const resolve = (folder, seen = new Set()) => {
+    if (paths.has(folder.id)) return paths.get(folder.id);
+    const parent = byId.get(folder.parents?.[0]);
+    // Guard against cycles in malformed parent data
+    const parentPath = parent && !seen.has(parent.id)
+      ? resolve(parent, seen.add(folder.id))
+      : isSharedWithMeRoot(folder, byId) ? SHARED_WITH_ME : '';
+    const fullPath = parentPath ? `${parentPath}/${folder.name}` : folder.name;
+    paths.set(folder.id, fullPath);
+    return fullPath;
+  };
+
+  allFolders.forEach(folder => resolve(folder));
+  return paths;
+}
+
+// Build the nested tree returned by GET /api/folders. Every node carries its full path;
+// nodes in shared drives also carry their driveId. My Drive is the root; shared drives
+// and top-level shared folders (when listed) come back in sharedDrives and sharedWithMe.
+function buildFolderTree(allFolders) {
+  const folderMap = new Map();
+  const rootFolders = [];
+  const sharedDrives = [];
+  const sharedWithMe = [];
+  const paths = buildFolderPaths(allFolders);
+  const byId = new Map(allFolders.map(f => [f.id, f]));
+
+  allFolders.forEach(folder => {
+    folderMap.set(folder.id, {
+      id: folder.id,
+      name: folder.name,
+      path: paths.get(folder.id),
+      parents: folder.parents || ['root'],
+      ...(folder.driveId && { driveId: folder.driveId }),
+      ...(folder.isSharedDrive && { isSharedDrive: true }),
+      folders: []
+    });
+  });
+
+  allFolders.forEach(folder => {
+    const folderObj = folderMap.get(folder.id);
+    const parentId = folder.parents?.[0] || 'root';
+    if (folder.isSharedDrive) {
+      sharedDrives.push(folderObj);
+    } else if (isSharedWithMeRoot(folder, byId)) {
+      sharedWithMe.push(folderObj);
+    } else if (parentId === 'root' || !folderMap.has(parentId)) {
+      rootFolders.push(folderObj);
+    } else {
+      folderMap.get(parentId).folders.push(folderObj);
+    }
+  });
+
+  const sortFolders = (list) => {
+    list.sort((a, b) => a.name.localeCompare(b.name));
+    list.forEach(f => sortFolders(f.folders));
+  };
+  [rootFolders, sharedDrives, sharedWithMe].forEach(sortFolders);
+
+  return { id: 'root', name: 'My Drive', path: '', folders: rootFolders, sharedDrives, sharedWithMe };
+}
+
+async function createFolder(drive, { name, parentId = 'root' }) {
+  const fileMetadata = {
+    name,
+    mimeType: FOLDER_MIME_TYPE,
+    parents: parentId !== 'root' ? [parentId] : undefined
+  };
+
+  const response = await drive.files.create({ resource: fileMetadata, fields: 'id,name,webViewLink,driveId', supportsAllDrives: true });
+  return response.data;
+}
+
+// Move a file to a new parent, returning the updated file and the parents it was moved from
+async function moveFile(drive, fileId, newParentId) {
+  const file = await drive.files.get({ fileId, fields: 'parents', supportsAllDrives: true });
+  const previousParents = file.data.parents || [];
+
+  const response = await drive.files.update({
+    fileId,
+    addParents: newParentId,
+    removeParents: previousParents.join(','),
+    fields: 'id,name,parents,driveId',
+    supportsAllDrives: true
+  });
+
+  return { file: response.data, previousParents };
+}
+
+async function hasChildren(drive, folderId) {
+  const response = await drive.files.list({
+    q: `'${escapeQueryValue(folderId)}' in parents and trashed=false`,
+    fields: 'files(id)',
+    pageSize: 1,
+    ...ALL_DRIVES
+  });
+  return (response.data.files || []).length > 0;
+}
+
+async function trashFile(drive, fileId) {
+  await drive.files.update({ fileId, requestBody: { trashed: true }, supportsAllDrives: true });
+}
+
+async function restoreFile(drive, fileId) {
+  await drive.files.update({ fileId, requestBody: { trashed: false }, supportsAllDrives: true });
+}
+
+async function renameFile(drive, fileId, name) {
+  const response = await drive.files.update({ fileId, requestBody: { name }, fields: 'id, name, webViewLink', supportsAllDrives: true });
+  return response.data;
+}
+
+const RECENT_FILE_FIELDS = 'id, name, mimeType, parents, driveId, ownedByMe, size, md5Checksum, modifiedTime, webViewLink';
+
+// The user's own files (not folders), most recently modified first
+async function listRecentFiles(drive, { limit = 1000 } = {}) {
+  const response = await drive.files.list({
+    q: `trashed=false and 'me' in owners and mimeType != '${FOLDER_MIME_TYPE}'`,
+    fields: `files(${RECENT_FILE_FIELDS})`,
+    orderBy: 'modifiedTime desc',
+    pageSize: Math.min(limit, 1000)
+  });
+  return response.data.files || [];
+}
+
+async function getLatestFile(drive) {
+  const response = await drive.files.list({
+    q: `trashed=false and 'me' in owners and mimeType != '${FOLDER_MIME_TYPE}'`,
+    fields: 'files(id, name, mimeType, size, modifiedTime, webViewLink, parents)',
+    orderBy: 'modifiedTime desc',
+    pageSize: 1
+  });
+
+  const file = response.data.files?.[0];
+  if (!file) return null;
+
+  let parentName = 'My Drive';
+  if (file.parents?.length > 0) {
+    try {
+      const parent = await drive.files.get({ fileId: file.parents[0], fields: 'name', supportsAllDrives: true });
+      parentName = parent.data.name;
+    } catch {}
+  }
+  return { ...file, parentName };
+}
+
+// The signed-in Google account, used to key per-user data such as routing rules
+async function getAccount(drive) {
+  const response = await drive.about.get({ fields: 'user(permissionId, emailAddress, displayName)' });
+  const { permissionId, emailAddress, displayName } = response.data.user;
+  return { id: permissionId, email: emailAddress, name: displayName };
+}
+
+module.exports = {
+  FOLDER_MIME_TYPE,
+  ALL_DRIVES,
+  escapeQueryValue,
+  listSharedDrives,
+  listAllFolders,
+  buildFolderPaths,
+  buildFolderTree,
+  createFolder,
+  moveFile,
+  hasChildren,
+  trashFile,
+  restoreFile,
+  renameFile,
+  RECENT_FILE_FIELDS,
+  listRecentFiles,
+  getLatestFile,
+  getAccount
+};
@@ -0,0 +1,116 @@
+const driveOps = require('./drive');
+
+// Duplicate detection for uploads and for the duplicates report. Two files are
+//   identical  when their md5Checksum matches (Drive computes one for every file that is not
+//              a Google Docs/Sheets/Slides file), whatever they are called;
+//   likely     when one of them has no checksum, but the sizes match and so do the names
+//              once copy markers are stripped ("scan (1).pdf", "Copy of scan.pdf").
+// Only files the user owns are compared, so extras can always be trashed.
+//
+// Uploads (findDuplicates) compare the new file with same-named files and the account's
+// recently modified files, which come from the drive-cache when a driveReader is passed.
+// The report (findDuplicateClusters) groups up to DUPLICATES_MAX_FILES of the user's files.
+
+const REPORT_MAX_FILES = parseInt(process.env.DUPLICATES_MAX_FILES, 10) || 5000;
+const DUPLICATE_FIELDS = 'id, name, mimeType, size, md5Checksum, parents, createdTime, modifiedTime, webViewLink';
+
+function normalizeName(name) {
+  return String(name).toLowerCase()
+    .replace(/^copy of /, '')
+    .replace(/\s*\(\d+\)(?=\.[^.]*$|$)/, '')
+    .trim();
+}
+
+// 'identical', 'likely' or null
+function matchReason(a, b) {
+  if (a.md5Checksum && b.md5Checksum) return a.md5Checksum === b.md5Checksum ? 'identical' : null;
+  const sameSize = a.size !== undefined && String(a.size) === String(b.size);
+  return sameSize && normalizeName(a.name) === normalizeName(b.name) ? 'likely' : null;
+}
+
+// Resolves with a function that adds a file's folder path ("Work/Scans", or "My Drive" at the top level)
+async function folderPathAdder(drive, driveReader) {
+  const paths = driveOps.buildFolderPaths(await driveReader.listAllFolders(drive));
+  return file => ({ ...file, folderPath: paths.get(file.parents?.[0]) || 'My Drive' });
+}
+
+// Files already in Drive that duplicate `file` (which needs id, name, size and md5Checksum),
+// identical ones first. Each comes back with its `reason` and `folderPath`.
+async function findDuplicates(drive, file, { driveReader = driveOps } = {}) {
+  const [sameName, recent] = await Promise.all([
+    drive.files.list({
+      q: `name = '${driveOps.escapeQueryValue(file.name)}' and 'me' in owners and trashed=false and mimeType != '${driveOps.FOLDER_MIME_TYPE}'`,
+      fields: `files(${DUPLICATE_FIELDS})`,
+      pageSize: 100
+    }).then(response => response.data.files || []),
+    driveReader.listRecentFiles(drive)
+  ]);
+
+  const seen = new Set([file.id]);
+  const duplicates = [];
+  [...sameName, ...recent].forEach(candidate => {
+    if (seen.has(candidate.id)) return;
+    seen.add(candidate.id);
+    const reason = matchReason(file, candidate);
+    if (reason) duplicates.push({ ...candidate, reason });
+  });
+  if (!duplicates.length) return [];
+  duplicates.sort((a, b) => (a.reason === 'identical' ? 0 : 1) - (b.reason === 'identical' ? 0 : 1));
+  return duplicates.map(await folderPathAdder(drive, driveReader));
+}
+
+// The user's files, most recently modified first, up to REPORT_MAX_FILES.
+// Resolves with { files, truncated }.
+async function listOwnedFiles(drive) {
+  const files = [];
+  let pageToken = null;
+  do {
+    const response = await drive.files.list({
+      q: `'me' in owners and trashed=false and mimeType != '${driveOps.FOLDER_MIME_TYPE}'`,
+      fields: `nextPageToken, files(${DUPLICATE_FIELDS})`,
+      orderBy: 'modifiedTime desc',
+      pageSize: 1000,
+      pageToken
+    });
+    files.push(...(response.data.files || []));
+    pageToken = response.data.nextPageToken;
+  } while (pageToken && files.length < REPORT_MAX_FILES);
+  return { files: files.slice(0, REPORT_MAX_FILES), truncated: !!pageToken || files.length > REPORT_MAX_FILES };
+}
+
+// Groups of duplicate files across the user's Drive, the most wasted space first:
+//   { reason, size, wastedBytes, files: [oldest (the one to keep), ...extras] }
+// Resolves with { clusters, scanned, truncated }; truncated means only the most recently
+// modified files were compared.
+async function findDuplicateClusters(drive, { driveReader = driveOps } = {}) {
+  const { files, truncated } = await listOwnedFiles(drive);
+
+  const groups = new Map();
+  files.forEach(file => {
+    // Files with a checksum group by it; the others by size and normalized name
+    const key = file.md5Checksum
+      ? `md5:${file.md5Checksum}`
+      : file.size !== undefined && `name:${file.size}:${normalizeName(file.name)}`;
+    if (!key) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(file);
+  });
+
+  const addPath = await folderPathAdder(drive, driveReader);
+  const clusters = [];
+  for (const [key, group] of groups) {
+    if (group.length < 2) continue;
+    group.sort((a, b) => (a.createdTime || '').localeCompare(b.createdTime || ''));
+    const size = Number(group[0].size) || 0;
+    clusters.push({
+      reason: key.startsWith('md5:') ? 'identical' : 'likely',
+      size,
+      wastedBytes: size * (group.length - 1),
+      files: group.map(addPath)
+    });
+  }
+  clusters.sort((a, b) => b.wastedBytes - a.wastedBytes);
+  return { clusters, scanned: files.length, truncated };
+}
+
+module.exports = { DUPLICATE_FIELDS, normalizeName, matchReason, findDuplicates, findDuplicateClusters };
@@ -0,0 +1,111 @@
+// Text embeddings for the semantic file index (file-index.js). EMBEDDING_PROVIDER picks one:
+//   local   (default) hashed bag-of-words vectors computed in-process. Works offline with no
+//           API calls; it matches shared words and word stems rather than meaning.
+//   openai  any OpenAI-compatible /embeddings endpoint (OpenAI, llama.cpp server, vLLM)
+//   ollama  a local Ollama server
+// Vectors are L2-normalized, so cosine similarity is a plain dot product.
+
+const PROVIDERS = {
+  local: { model: 'hash-512' },
+  openai: { baseUrl: 'https://api.openai.com/v1', model: 'text-embedding-3-small' },
+  ollama: { baseUrl: 'http://localhost:11434/v1', model: 'nomic-embed-text' }
+};
+
+const LOCAL_DIMENSIONS = 512;
+const BATCH_SIZE = 32;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'did', 'do', 'does', 'for', 'from', 'has', 'have',
+  'how', 'i', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our', 'say', 'said', 'that',
+  'the', 'their', 'this', 'to', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'with', 'you'
+]);
+
+function loadEmbeddingConfig(env) {
+  const provider = (env.EMBEDDING_PROVIDER || 'local').toLowerCase();
+  const preset = PROVIDERS[provider];
+  if (!preset) {
+    throw new Error(`Unknown EMBEDDING_PROVIDER "${provider}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return {
+    provider,
+    baseUrl: (env.EMBEDDING_BASE_URL || preset.baseUrl || '').replace(/\/+$/, ''),
+    model: env.EMBEDDING_MODEL || preset.model,
+    apiKey: env.EMBEDDING_API_KEY,
+    timeoutMs: parseInt(env.LLM_TIMEOUT_MS, 10) || 30000
+  };
+}
+
+// Crude stemming so "budgets", "budgeted" and "budget" land in the same bucket
+function stem(word) {
+  return word.length > 4 ? word.replace(/(ing|ed|es|s)$/, '') : word;
+}
+
+function tokenize(text) {
+  return (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(word => !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+// FNV-1a, so the same word always lands in the same dimension
+function hashToken(token) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < token.length; i++) {
+    hash ^= token.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm ? vector.map(v => v / norm) : vector;
+}
+
+// Words and adjacent word pairs, with sublinear term frequency and a sign bit to spread collisions
+function localEmbedding(text) {
+  const counts = new Map();
+  const words = tokenize(text);
+  const terms = [...words, ...words.slice(1).map((word, i) => `${words[i]} ${word}`)];
+  terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+
+  const vector = new Array(LOCAL_DIMENSIONS).fill(0);
+  counts.forEach((count, term) => {
+    const hash = hashToken(term);
+    const weight = (1 + Math.log(count)) * (term.includes(' ') ? 0.5 : 1);
+    vector[hash % LOCAL_DIMENSIONS] += hash & 0x80000000 ? -weight : weight;
+  });
+  return normalize(vector);
+}
+
+function createEmbedder(config) {
+  // Changing provider or model invalidates stored vectors, so the index records this ID
+  const id = `${config.provider}:${config.model}`;
+
+  const remoteEmbed = async (texts) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.apiKey) headers['Authorization'] = `Bearer ${config.apiKey}`;
+    const res = await fetch(`${config.baseUrl}/embeddings`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ model: config.model, input: texts }),
+      signal: AbortSignal.timeout(config.timeoutMs)
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error?.message || `${config.provider} embeddings returned HTTP ${res.status}`);
+    return [...data.data].sort((a, b) => a.index - b.index).map(item => normalize(item.embedding));
+  };
+
+  // Resolve with one vector per text, in order
+  const embed = async (texts) => {
+    if (config.provider === 'local') return texts.map(localEmbedding);
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+      vectors.push(...await remoteEmbed(texts.slice(i, i + BATCH_SIZE)));
+    }
+    return vectors;
+  };
+
+  return { id, provider: config.provider, model: config.model, embed };
+}
+
+module.exports = { PROVIDERS, loadEmbeddingConfig, createEmbedder };
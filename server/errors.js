@@ -0,0 +1,9 @@
+// Error with an HTTP status, for failures the client caused (bad input, a conflicting state,
+// a missing item). sendError in index.js answers with error.status and the message.
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+module.exports = { httpError };
@@ -0,0 +1,92 @@
+const path = require('path');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js'); // lib path skips the package's debug self-test
+const mammoth = require('mammoth');
+
+// Extract a short plain-text excerpt from an uploaded file so folder matching can use
+// what the file is about, not just its name. Only the first part of each file is read.
+
+const MAX_TEXT_BYTES = (parseInt(process.env.EXTRACT_MAX_KB, 10) || 64) * 1024;
+const MAX_PARSED_FILE_BYTES = (parseInt(process.env.EXTRACT_MAX_FILE_MB, 10) || 20) * 1024 * 1024;
+const MAX_PDF_PAGES = 3;
+const EXTRACT_TIMEOUT_MS = 10000;
+const DEFAULT_EXCERPT_CHARS = 1500;
+
+const TEXT_EXTENSIONS = new Set([
+  '.txt', '.md', '.csv', '.tsv', '.json', '.xml', '.yaml', '.yml', '.log', '.ini', '.rtf',
+  '.js', '.ts', '.jsx', '.tsx', '.py', '.html', '.css', '.java', '.c', '.cpp', '.h', '.cs',
+  '.go', '.rb', '.rs', '.php', '.sh', '.sql', '.swift', '.kt'
+]);
+
+function getExtractor(fileName, mimeType = '') {
+  const ext = path.extname(fileName || '').toLowerCase();
+  if (ext === '.pdf' || mimeType === 'application/pdf') return 'pdf';
+  if (ext === '.docx' || mimeType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') return 'docx';
+  if (TEXT_EXTENSIONS.has(ext) || mimeType.startsWith('text/')) return 'text';
+  return null;
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Extraction timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Resolve with the extracted text (possibly long), or null for unsupported or unreadable files
+async function extractText(buffer, { fileName, mimeType } = {}) {
+  const extractor = getExtractor(fileName, mimeType);
+  if (!extractor || !buffer?.length) return null;
+
+  try {
+    if (extractor === 'text') {
+      return buffer.subarray(0, MAX_TEXT_BYTES).toString('utf8');
+    }
+    if (buffer.length > MAX_PARSED_FILE_BYTES) return null;
+    if (extractor === 'pdf') {
+      const data = await withTimeout(pdfParse(buffer, { max: MAX_PDF_PAGES }), EXTRACT_TIMEOUT_MS);
+      return data.text.slice(0, MAX_TEXT_BYTES);
+    }
+    if (extractor === 'docx') {
+      const result = await withTimeout(mammoth.extractRawText({ buffer }), EXTRACT_TIMEOUT_MS);
+      return result.value.slice(0, MAX_TEXT_BYTES);
+    }
+  } catch (error) {
+    console.warn(`[Extract] Could not read "${fileName}":`, error.message);
+  }
+  return null;
+}
+
+// Collapse whitespace and cut to a prompt-friendly length
+function makeExcerpt(text, maxChars = DEFAULT_EXCERPT_CHARS) {
+  if (!text) return '';
+  const collapsed = text.replace(/\u0000/g, '').replace(/\s+/g, ' ').trim();
+  return collapsed.length > maxChars ? `${collapsed.slice(0, maxChars)}…` : collapsed;
+}
+
+async function extractExcerpt(buffer, options, maxChars) {
+  return makeExcerpt(await extractText(buffer, options), maxChars);
+}
+
+// Excerpt of a file that is already in Drive (bulk organize, streamed uploads).
+// Google Docs are exported as plain text; other supported types are downloaded.
+async function extractDriveExcerpt(drive, file, maxChars) {
+  try {
+    if (file.mimeType === 'application/vnd.google-apps.document') {
+      const res = await drive.files.export({ fileId: file.id, mimeType: 'text/plain' }, { responseType: 'text' });
+      return makeExcerpt(String(res.data).slice(0, MAX_TEXT_BYTES), maxChars);
+    }
+    const extractor = getExtractor(file.name, file.mimeType);
+    if (!extractor || Number(file.size) > MAX_PARSED_FILE_BYTES) return '';
+    const options = { responseType: 'arraybuffer' };
+    // Text only needs the first bytes; PDF and DOCX need the whole file to parse
+    if (extractor === 'text') options.headers = { Range: `bytes=0-${MAX_TEXT_BYTES - 1}` };
+    const res = await drive.files.get({ fileId: file.id, alt: 'media', supportsAllDrives: true }, options);
+    return extractExcerpt(Buffer.from(res.data), { fileName: file.name, mimeType: file.mimeType }, maxChars);
+  } catch (error) {
+    console.warn(`[Extract] Could not read "${file.name}" from Drive:`, error.message);
+    return '';
+  }
+}
+
+module.exports = { getExtractor, extractText, makeExcerpt, extractExcerpt, extractDriveExcerpt };
@@ -0,0 +1,284 @@
+const fs = require('fs');
+const path = require('path');
+const { FOLDER_MIME_TYPE } = require('./drive');
+const { extractDriveExcerpt } = require('./extract');
+const { dataPath } = require('./data-dir');
+
+// Local semantic index of each account's Drive files, used to ground chat answers
+// ("what did the Q3 budget say about travel?") in what the files actually say.
+//
+// One JSON file per Google account in FILE_INDEX_DIR (default: DATA_DIR/file-index):
+//   { embedder, syncedAt, files: { [fileId]: { id, name, mimeType, modifiedTime, webViewLink,
+//     chunks: [{ text, vector }] } } }
+// Each file's name and extracted text (extract.js) are split into overlapping chunks and
+// embedded (embeddings.js). Refreshes are incremental: only new files and files modified
+// since they were indexed are downloaded again, and files gone from Drive are dropped.
+// Switching the embedder re-embeds everything, since vectors from different models don't mix.
+//
+// The user builds the index once; after that chat refreshes it in the background whenever
+// it is older than FILE_INDEX_REFRESH_MINUTES. A refresh builds a new copy and swaps it in
+// when done, so searches meanwhile use the complete previous index; a file that fails to
+// index keeps its previous entry and is retried on the next refresh. Refresh jobs live in
+// memory, one per account, and loaded indexes are dropped after IDLE_TTL_MS without use.
+
+const INDEX_DIR = process.env.FILE_INDEX_DIR || dataPath('file-index');
+const MAX_FILES = parseInt(process.env.FILE_INDEX_MAX_FILES, 10) || 1000;
+const REFRESH_AFTER_MS = (parseInt(process.env.FILE_INDEX_REFRESH_MINUTES, 10) || 30) * 60 * 1000;
+const MAX_TEXT_CHARS = 8000;
+const CHUNK_CHARS = 1200;
+const CHUNK_OVERLAP = 200;
+const EXTRACT_CONCURRENCY = 3;
+// Save progress every so many files, so a restart mid-refresh keeps what was done
+const SAVE_EVERY = 25;
+const MAX_RESULTS = 6;
+const MAX_CHUNKS_PER_FILE = 2;
+// Weak matches (below this share of the best score) only add noise to the prompt
+const MIN_RELATIVE_SCORE = 0.5;
+const IDLE_TTL_MS = 60 * 60 * 1000;
+const MAX_REPORTED_FAILURES = 5;
+
+const indexes = new Map(); // accountId -> loaded index
+const usedAt = new Map(); // accountId -> when its index was last loaded or searched
+const jobs = new Map(); // accountId -> { status, processed, total, failed, error, promise }
+
+// Forget indexes (and finished jobs) of accounts not used for a while; they reload from disk
+function pruneIndexes() {
+  const cutoff = Date.now() - IDLE_TTL_MS;
+  usedAt.forEach((time, accountId) => {
+    if (time >= cutoff || jobs.get(accountId)?.status === 'indexing') return;
+    indexes.delete(accountId);
+    jobs.delete(accountId);
+    usedAt.delete(accountId);
+  });
+}
+
+function indexPath(accountId) {
+  return path.join(INDEX_DIR, `${String(accountId).replace(/[^\w-]/g, '_')}.json`);
+}
+
+// Vectors are kept as Float32Array in memory and as rounded numbers on disk
+function loadIndex(accountId) {
+  pruneIndexes();
+  usedAt.set(accountId, Date.now());
+  if (indexes.has(accountId)) return indexes.get(accountId);
+  let index = null;
+  try {
+    const file = indexPath(accountId);
+    if (fs.existsSync(file)) {
+      index = JSON.parse(fs.readFileSync(file, 'utf8'));
+      Object.values(index.files).forEach(f => f.chunks.forEach(c => { c.vector = Float32Array.from(c.vector); }));
+    }
+  } catch (error) {
+    console.error('[Index] Error reading index file:', error.message);
+  }
+  indexes.set(accountId, index);
+  return index;
+}
+
+function saveIndex(accountId, index) {
+  fs.mkdirSync(INDEX_DIR, { recursive: true, mode: 0o700 });
+  const file = indexPath(accountId);
+  const tmp = `${file}.${process.pid}.tmp`;
+  const json = JSON.stringify(index, (key, value) =>
+    value instanceof Float32Array ? Array.from(value, v => Math.round(v * 10000) / 10000) : value);
+  // Write then rename, so a crash never leaves a half-written index
+  fs.writeFileSync(tmp, json, { mode: 0o600 });
+  fs.renameSync(tmp, file);
+}
+
+function deleteIndex(accountId) {
+  const job = jobs.get(accountId);
+  if (job) job.cancelled = true;
+  indexes.set(accountId, null);
+  fs.rmSync(indexPath(accountId), { force: true });
+}
+
+// Overlapping windows that end at a word boundary where possible
+function chunkText(text) {
+  const collapsed = text.replace(/\s+/g, ' ').trim();
+  const chunks = [];
+  let start = 0;
+  while (start < collapsed.length) {
+    let end = Math.min(start + CHUNK_CHARS, collapsed.length);
+    if (end < collapsed.length) {
+      const space = collapsed.lastIndexOf(' ', end);
+      if (space > start + CHUNK_CHARS / 2) end = space;
+    }
+    chunks.push(collapsed.slice(start, end).trim());
+    if (end >= collapsed.length) break;
+    start = end - CHUNK_OVERLAP;
+  }
+  return chunks;
+}
+
+// The user's own files, most recently modified first, up to MAX_FILES
+async function listIndexableFiles(drive) {
+  const files = [];
+  let pageToken = null;
+  do {
+    const response = await drive.files.list({
+      q: `trashed=false and 'me' in owners and mimeType != '${FOLDER_MIME_TYPE}'`,
+      fields: 'nextPageToken, files(id, name, mimeType, size, modifiedTime, webViewLink)',
+      orderBy: 'modifiedTime desc',
+      pageSize: Math.min(1000, MAX_FILES),
+      pageToken
+    });
+    files.push(...(response.data.files || []));
+    pageToken = response.data.nextPageToken;
+  } while (pageToken && files.length < MAX_FILES);
+  return files.slice(0, MAX_FILES);
+}
+
+async function indexFile(drive, embedder, file) {
+  // The name is part of the first chunk, so files without readable text are still found by name
+  const text = await extractDriveExcerpt(drive, file, MAX_TEXT_CHARS);
+  const chunks = chunkText(`${file.name}\n${text}`);
+  const vectors = await embedder.embed(chunks);
+  return {
+    id: file.id,
+    name: file.name,
+    mimeType: file.mimeType,
+    modifiedTime: file.modifiedTime,
+    webViewLink: file.webViewLink,
+    chunks: chunks.map((chunk, i) => ({ text: chunk, vector: Float32Array.from(vectors[i]) }))
+  };
+}
+
+async function runRefresh(job, drive, accountId, embedder) {
+  const previous = loadIndex(accountId);
+  // A different embedder means every stored vector is unusable
+  const reusable = previous?.embedder === embedder.id ? previous.files : {};
+  const listed = await listIndexableFiles(drive);
+
+  // The copy starts with every listed file already indexed (outdated ones until re-embedded)
+  const index = { embedder: embedder.id, syncedAt: previous?.syncedAt || null, files: {} };
+  const changed = [];
+  listed.forEach(file => {
+    const known = reusable[file.id];
+    if (known) index.files[file.id] = known;
+    if (!known || known.modifiedTime !== file.modifiedTime) changed.push(file);
+  });
+  job.total = changed.length;
+
+  let next = 0;
+  const worker = async () => {
+    while (next < changed.length && !job.cancelled) {
+      const file = changed[next++];
+      try {
+        index.files[file.id] = await indexFile(drive, embedder, file);
+      } catch (error) {
+        job.failed.push({ id: file.id, name: file.name, error: error.message });
+      }
+      job.processed++;
+      if (job.processed % SAVE_EVERY === 0 && !job.cancelled) saveIndex(accountId, index);
+    }
+  };
+  await Promise.all(Array.from({ length: EXTRACT_CONCURRENCY }, worker));
+  if (job.cancelled) return;
+  // Nothing indexed at all points at the embedder rather than at single files
+  if (changed.length > 0 && job.failed.length === changed.length) {
+    throw new Error(`No file could be indexed: ${job.failed[0].error}`);
+  }
+
+  index.syncedAt = new Date().toISOString();
+  saveIndex(accountId, index);
+  indexes.set(accountId, index);
+}
+
+// Start (or join) a refresh of the account's index. Resolves when it finishes.
+function refreshIndex(drive, accountId, embedder) {
+  const running = jobs.get(accountId);
+  if (running?.status === 'indexing') return running.promise;
+
+  const job = { status: 'indexing', processed: 0, total: 0, failed: [], error: null, startedAt: new Date().toISOString() };
+  jobs.set(accountId, job);
+  job.promise = runRefresh(job, drive, accountId, embedder).then(
+    () => { job.status = job.cancelled ? 'cancelled' : 'done'; },
+    (error) => {
+      console.error('[Index] Refresh failed:', error.message);
+      job.status = 'failed';
+      job.error = error.message;
+      throw error;
+    }
+  );
+  return job.promise;
+}
+
+// Refresh in the background when an existing index has gone stale; never builds a new one
+function refreshIfStale(drive, accountId, embedder) {
+  const index = loadIndex(accountId);
+  if (!index || jobs.get(accountId)?.status === 'indexing') return;
+  if (index.syncedAt && Date.now() - Date.parse(index.syncedAt) < REFRESH_AFTER_MS) return;
+  refreshIndex(drive, accountId, embedder).catch(() => {});
+}
+
+function getStatus(accountId, embedder) {
+  const index = loadIndex(accountId);
+  const job = jobs.get(accountId);
+  const files = Object.values(index?.files || {});
+  return {
+    built: !!index,
+    fileCount: files.length,
+    chunkCount: files.reduce((sum, f) => sum + f.chunks.length, 0),
+    syncedAt: index?.syncedAt || null,
+    embedder: embedder.id,
+    // Built with another embedder: search is off until the next refresh re-embeds the files
+    needsRebuild: !!index && index.embedder !== embedder.id,
+    indexing: job?.status === 'indexing',
+    processed: job?.processed || 0,
+    total: job?.total || 0,
+    // Files the last refresh could not index; they are retried on the next one
+    failedCount: job?.failed.length || 0,
+    failedFiles: (job?.failed || []).slice(0, MAX_REPORTED_FAILURES).map(f => ({ name: f.name, error: f.error })),
+    error: job?.status === 'failed' ? job.error : null
+  };
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+// The chunks closest to the query, at most MAX_CHUNKS_PER_FILE per file.
+// Resolves with [{ file: { id, name, mimeType, modifiedTime, webViewLink }, text, score }],
+// or null when the account has no usable index.
+async function searchIndex(accountId, embedder, query, { limit = MAX_RESULTS } = {}) {
+  const index = loadIndex(accountId);
+  if (!index || index.embedder !== embedder.id) return null;
+
+  const [queryVector] = await embedder.embed([query]);
+  const scored = [];
+  Object.values(index.files).forEach(file => file.chunks.forEach(chunk => {
+    const score = dot(queryVector, chunk.vector);
+    if (score > 0) scored.push({ file, chunk, score });
+  }));
+  scored.sort((a, b) => b.score - a.score);
+
+  const perFile = new Map();
+  const results = [];
+  for (const { file, chunk, score } of scored) {
+    if (results.length >= limit || score < scored[0].score * MIN_RELATIVE_SCORE) break;
+    if ((perFile.get(file.id) || 0) >= MAX_CHUNKS_PER_FILE) continue;
+    perFile.set(file.id, (perFile.get(file.id) || 0) + 1);
+    const { id, name, mimeType, modifiedTime, webViewLink } = file;
+    results.push({ file: { id, name, mimeType, modifiedTime, webViewLink }, text: chunk.text, score });
+  }
+  return results;
+}
+
+// Number search results as citable sources. `sources` is the list of sources cited so far
+// in the conversation turn; files already in it keep their number.
+// Returns the excerpts, each tagged with its source number.
+function citeResults(results, sources) {
+  return results.map(({ file, text }) => {
+    let source = sources.find(s => s.id === file.id);
+    if (!source) {
+      source = { n: sources.length + 1, id: file.id, name: file.name, webViewLink: file.webViewLink };
+      sources.push(source);
+    }
+    return { source: source.n, file: file.name, text };
+  });
+}
+
+module.exports = { refreshIndex, refreshIfStale, getStatus, deleteIndex, searchIndex, citeResults, chunkText };
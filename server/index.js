@@ -4,13 +4,29 @@ const cors = require('cors');
 const session = require('express-session');
 const { google } = require('googleapis');
 const multer = require('multer');
-const https = require('https');
-const { Readable } = require('stream');
 const path = require('path');
 const fs = require('fs');
+const { loadLLMConfig, createLLMClient } = require('./llm');
+const driveOps = require('./drive');
+const { runDriveAgent } = require('./agent');
+const actions = require('./actions');
+const { extractDriveExcerpt } = require('./extract');
+const { getFileType, findMatchingFolder } = require('./matching');
+const organize = require('./organize');
+const rules = require('./rules');
+const search = require('./search');
+const uploads = require('./uploads');
+const { createSessionStore } = require('./sessions');
+const oauth = require('./oauth');
+const accounts = require('./accounts');
+const { loadEmbeddingConfig, createEmbedder } = require('./embeddings');
+const fileIndex = require('./file-index');
+const driveCache = require('./drive-cache');
+const duplicates = require('./duplicates');
+const revisions = require('./revisions');
+const rename = require('./rename');
 
 const app = express();
-const upload = multer({ storage: multer.memoryStorage() });
 
 const PORT = process.env.PORT || 3000;
 // In production, frontend is served from the same origin, so we use the backend URL
@@ -35,10 +51,18 @@ function getRedirectUri(req) {
   return `${protocol}://${host}/oauth/callback`;
 }
 
-// OpenRouter configuration
-const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
-const OPENROUTER_MODEL = 'x-ai/grok-4-fast';
-const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
+// LLM provider configuration (OpenRouter by default, see llm.js for the other providers)
+const llm = createLLMClient(loadLLMConfig(process.env, { referer: BACKEND_URL }));
+console.log('[LLM] Provider:', llm.provider, 'model:', llm.model, llm.isConfigured() ? '' : '(not configured)');
+// Send an excerpt of uploaded file content to the LLM for folder matching (set to 'false' to only use names)
+const CONTENT_MATCHING = process.env.CONTENT_MATCHING !== 'false';
+// Embeddings for the file index that grounds chat (see embeddings.js). The index sends file
+// excerpts to the LLM too, so CONTENT_MATCHING=false turns it off.
+const embedder = createEmbedder(loadEmbeddingConfig(process.env));
+console.log('[Index] Embedder:', embedder.id, CONTENT_MATCHING ? '' : '(file index disabled)');
+// Drive access requested at sign-in (see oauth.js)
+const scopeProfile = oauth.getScopeProfile(process.env);
+console.log('[Auth] Scope profile:', scopeProfile.name);
 
 // Middleware
 // CORS configuration
@@ -48,7 +72,7 @@ if (FRONTEND_URL && FRONTEND_URL !== '') {
     origin: FRONTEND_URL,
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'Content-Range']
   }));
   console.log('[CORS] Enabled for:', FRONTEND_URL);
 } else {
@@ -67,8 +91,31 @@ if (process.env.NODE_ENV === 'production') {
 const isProduction = process.env.NODE_ENV === 'production';
 const isSecure = isProduction || process.env.FORCE_SECURE_COOKIES === 'true';
 
+// The secret signs session cookies and encrypts stored OAuth tokens, so a default is only
+// acceptable for local development
+if (isProduction && !process.env.SESSION_SECRET) {
+  console.error('[Session] SESSION_SECRET must be set in production (e.g. openssl rand -hex 32)');
+  process.exit(1);
+}
+if (!process.env.SESSION_SECRET) {
+  console.warn('[Session] SESSION_SECRET is not set; using an insecure development secret');
+}
+const SESSION_SECRET = process.env.SESSION_SECRET || 'insecure-development-secret';
+// Without a persistent location, file sessions would live in the temp directory and every
+// redeploy would sign everyone out
+if (isProduction && (process.env.SESSION_STORE || (process.env.REDIS_URL ? 'redis' : 'file')) === 'file'
+  && !process.env.SESSION_DIR && !process.env.DATA_DIR) {
+  console.error('[Session] In production, set DATA_DIR or SESSION_DIR to a persistent volume, or REDIS_URL');
+  process.exit(1);
+}
+if (isProduction && !process.env.DATA_DIR) {
+  console.warn('[Data] DATA_DIR is not set; routing rules and the file index are kept in the temp directory');
+}
+const sessionStore = createSessionStore(process.env, { secret: SESSION_SECRET });
+
 app.use(session({
-  secret: process.env.SESSION_SECRET || 'your-secret-key',
+  store: sessionStore.store,
+  secret: SESSION_SECRET,
   resave: false,
   saveUninitialized: false,
   name: 'sessionId', // Explicit session name
@@ -85,6 +132,7 @@ console.log('[Session] Configuration:', {
   secure: isSecure,
   sameSite: isProduction ? 'none' : 'lax',
   name: 'sessionId',
+  store: sessionStore.type,
   production: isProduction,
   trustProxy: isProduction
 });
@@ -101,6 +149,12 @@ app.use((req, res, next) => {
   next();
 });
 
+// Re-key single-account sessions from before account linking (see accounts.js)
+app.use((req, res, next) => {
+  if (req.session) accounts.migrateLegacySession(req.session);
+  next();
+});
+
 // Serve static files from frontend dist folder in production
 if (process.env.NODE_ENV === 'production') {
   app.use(express.static(path.join(__dirname, '../frontend/dist')));
@@ -111,17 +165,99 @@ function createOAuth2Client(redirectUri) {
   return new google.auth.OAuth2(GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET, redirectUri);
 }
 
-// Get authenticated OAuth2 client from session
-function getAuthenticatedClient(req) {
-  if (!req.session.tokens) {
+// Linked account a Drive request targets: its `account` parameter (body, then query string),
+// else the active account. Queued uploads name their account in the body, so they finish on
+// the account they were queued for.
+function requestedAccount(req) {
+  return accounts.resolveAccount(req.session, req.body?.account || req.query.account);
+}
+
+// Per-account part of the session (profile and action journal) for the requested account
+// (or the account getAuthenticatedClient already picked)
+function accountSession(req) {
+  const account = accounts.getAccount(req.session, req.driveAccount || requestedAccount(req));
+  if (!account) throw new Error('Not authenticated');
+  return account;
+}
+
+// Get authenticated OAuth2 client from session, for the requested account by default
+function getAuthenticatedClient(req, email = requestedAccount(req)) {
+  const credentials = accounts.getTokens(req.session, email);
+  if (!credentials) {
     throw new Error('Not authenticated');
   }
+  req.driveAccount = email;
   const redirectUri = getRedirectUri(req);
   const oauth2Client = createOAuth2Client(redirectUri);
-  oauth2Client.setCredentials(req.session.tokens);
+  oauth2Client.setCredentials(credentials);
+  // googleapis refreshes expired access tokens on its own; keep the new ones in the session.
+  // Google only returns a refresh token on first consent, so merge rather than replace.
+  oauth2Client.on('tokens', (tokens) => {
+    if (!accounts.getTokens(req.session, email)) return;
+    req.session.tokens[email] = { ...req.session.tokens[email], ...tokens };
+    // Background work (organize jobs, streams) can refresh after the response went out,
+    // when express-session no longer saves automatically and req.session may be outdated
+    if (req.res.headersSent) saveRefreshedTokens(req.sessionID, email, tokens);
+  });
   return oauth2Client;
 }
 
+// Merge refreshed tokens into the stored copy of a session. Nothing is written when the
+// session was destroyed (logout) or regenerated since, or no longer links the account,
+// and the rest of the stored session (accounts linked or unlinked meanwhile) is kept.
+function saveRefreshedTokens(sessionId, email, tokens) {
+  const logError = err => err && console.error('[Auth] Could not save refreshed tokens:', err.message);
+  sessionStore.store.get(sessionId, (err, stored) => {
+    if (err) return logError(err);
+    if (!stored || !accounts.getTokens(stored, email)) return;
+    stored.tokens[email] = { ...stored.tokens[email], ...tokens };
+    sessionStore.store.set(sessionId, stored, logError);
+  });
+}
+
+// Status and JSON body for a failed API request. Auth failures carry a code the frontend acts on:
+//   NOT_AUTHENTICATED  no tokens in the session
+//   REAUTH_REQUIRED    Google rejected the account's refresh token (its tokens are dropped)
+//   SCOPE_INSUFFICIENT (403) the granted scopes don't cover the feature
+function describeError(req, error) {
+  if (oauth.isReauthError(error)) {
+    accounts.expireAccount(req.session, req.driveAccount);
+    req.session.reauthRequired = true;
+    return { status: 401, body: { success: false, code: 'REAUTH_REQUIRED', message: 'Your Google sign-in has expired. Please sign in again.' } };
+  }
+  if (error.message === 'Not authenticated') {
+    return { status: 401, body: { success: false, code: 'NOT_AUTHENTICATED', message: error.message } };
+  }
+  if (error.code === 'SCOPE_INSUFFICIENT') {
+    return { status: 403, body: { success: false, code: error.code, message: error.message } };
+  }
+  return { status: error.status || 500, body: { success: false, message: error.message } };
+}
+
+function sendError(req, res, error, extra = {}) {
+  const { status, body } = describeError(req, error);
+  res.status(status).json({ ...body, ...extra });
+}
+
+// Simple uploads stream straight into Drive instead of being buffered in memory
+const upload = multer({
+  storage: uploads.driveStorage(req => google.drive({ version: 'v3', auth: getAuthenticatedClient(req) })),
+  limits: { fileSize: uploads.MAX_UPLOAD_BYTES }
+});
+
+// Google account ID for per-user data (recorded when the account was linked)
+async function getAccountId(req, drive) {
+  const account = accountSession(req);
+  if (!account.id) Object.assign(account, await driveOps.getAccount(drive));
+  return account.id;
+}
+
+// Reads the account's folders and recent files from its Changes-API cache (drive-cache.js)
+// instead of listing the whole Drive; drop-in for driveOps wherever a driveReader is taken
+async function getDriveReader(req, drive) {
+  return driveCache.createDriveReader(await getAccountId(req, drive));
+}
+
 
 // Visitor counter storage
 const VISITOR_COUNT_FILE = path.join(__dirname, 'visitor-count.json');
@@ -194,22 +330,31 @@ app.get('/api/test-cookies', (req, res) => {
   });
 });
 
-// Start OAuth flow
-app.get('/auth/google', (req, res) => {
-  const redirectUri = getRedirectUri(req);
-  console.log('[Auth] Starting OAuth flow:', { redirectUri, sessionId: req.sessionID });
-  const oauth2Client = createOAuth2Client(redirectUri);
-  const scopes = [
-    'https://www.googleapis.com/auth/drive.file',
-    'https://www.googleapis.com/auth/drive.readonly',
-    'https://www.googleapis.com/auth/drive'
-  ];
-  const authUrl = oauth2Client.generateAuthUrl({
-    access_type: 'offline',
-    scope: scopes,
-  });
-  console.log('[Auth] Redirecting to Google:', authUrl);
-  res.redirect(authUrl);
+// Start OAuth flow. ?link=1 adds another Google account to the session (Google shows its
+// account chooser); ?account=<email> pre-selects an account, e.g. to sign in to it again.
+app.get('/auth/google', async (req, res) => {
+  try {
+    const redirectUri = getRedirectUri(req);
+    const link = req.query.link === '1';
+    console.log('[Auth] Starting OAuth flow:', { redirectUri, sessionId: req.sessionID, scopeProfile: scopeProfile.name, link });
+    const oauth2Client = createOAuth2Client(redirectUri);
+    const { authUrl, pending } = await oauth.createAuthRequest(oauth2Client, {
+      secret: SESSION_SECRET,
+      sessionId: req.sessionID,
+      scopes: scopeProfile.scopes,
+      // consent makes Google send a refresh token even if this account was linked before
+      prompt: link ? 'select_account consent' : undefined,
+      loginHint: typeof req.query.account === 'string' ? req.query.account : undefined
+    });
+    // The callback needs the state nonce and PKCE verifier, so the session must be stored first
+    req.session.oauthRequest = pending;
+    await new Promise((resolve, reject) => req.session.save(err => (err ? reject(err) : resolve())));
+    console.log('[Auth] Redirecting to Google:', authUrl);
+    res.redirect(authUrl);
+  } catch (error) {
+    console.error('[Auth] Could not start OAuth flow:', error.message);
+    res.redirect(`${FRONTEND_URL || '/'}?error=auth_failed`);
+  }
 });
 
 // OAuth callback
@@ -230,19 +375,36 @@ app.get('/oauth/callback', async (req, res) => {
     const redirectUrl = FRONTEND_URL || '/';
     return res.redirect(`${redirectUrl}?error=no_code`);
   }
+
+  // The state must be the one signed for this session in /auth/google; each request is single-use
+  const codeVerifier = oauth.verifyAuthState(req.session.oauthRequest, req.query.state, {
+    secret: SESSION_SECRET,
+    sessionId: req.sessionID
+  });
+  delete req.session.oauthRequest;
+  if (!codeVerifier) {
+    console.error('[OAuth Callback] Missing or invalid state');
+    const redirectUrl = FRONTEND_URL || '/';
+    return res.redirect(`${redirectUrl}?error=invalid_state`);
+  }
+
   try {
     const redirectUri = getRedirectUri(req);
     console.log('[OAuth Callback] Using redirect URI:', redirectUri);
     const oauth2Client = createOAuth2Client(redirectUri);
-    const { tokens } = await oauth2Client.getToken(code);
+    const { tokens } = await oauth2Client.getToken({ code, codeVerifier });
     console.log('[OAuth Callback] Tokens received:', { 
       hasAccessToken: !!tokens.access_token,
-      hasRefreshToken: !!tokens.refresh_token 
+      hasRefreshToken: !!tokens.refresh_token,
+      scope: tokens.scope
     });
     
-    // Save session
-    req.session.tokens = tokens;
-    console.log('[OAuth Callback] Tokens stored in session');
+    // Store the tokens under the account's email; it becomes the active account
+    oauth2Client.setCredentials(tokens);
+    const profile = await driveOps.getAccount(google.drive({ version: 'v3', auth: oauth2Client }));
+    accounts.linkAccount(req.session, profile, tokens);
+    delete req.session.reauthRequired;
+    console.log('[OAuth Callback] Tokens stored in session for', profile.email);
     
     // Save session explicitly and wait for completion
     await new Promise((resolve, reject) => {
@@ -295,7 +457,8 @@ app.get('/oauth/callback', async (req, res) => {
 
 // Check auth status
 app.get('/api/auth/status', (req, res) => {
-  const hasTokens = !!req.session.tokens;
+  const activeTokens = accounts.getTokens(req.session, req.session.activeAccount);
+  const hasTokens = !!activeTokens;
   const cookieHeader = req.headers.cookie || 'none';
   const sessionCookie = cookieHeader.includes('sessionId=') 
     ? cookieHeader.split('sessionId=')[1]?.split(';')[0]?.substring(0, 20) + '...'
@@ -324,10 +487,48 @@ app.get('/api/auth/status', (req, res) => {
     }
   }
   
-  res.json({ authenticated: hasTokens });
+  // authenticated: the active account is signed in
+  // reauthRequired: Google revoked the previous sign-in, so the UI asks to sign in again
+  // features: what the active account's granted Drive scopes allow, so the UI can disable the rest
+  res.json({
+    authenticated: hasTokens,
+    reauthRequired: !hasTokens && !!req.session.reauthRequired,
+    scopeProfile: scopeProfile.name,
+    features: hasTokens ? oauth.grantedFeatures(activeTokens) : null,
+    activeAccount: req.session.activeAccount || null,
+    accounts: accounts.listAccounts(req.session)
+  });
+});
+
+// Linked Google accounts. New ones are added by signing in through /auth/google?link=1.
+app.get('/api/accounts', (req, res) => {
+  res.json({ success: true, activeAccount: req.session.activeAccount || null, accounts: accounts.listAccounts(req.session) });
 });
 
-// Logout
+// Switch the account Drive routes use when a request doesn't name one
+app.post('/api/accounts/active', (req, res) => {
+  try {
+    accounts.setActiveAccount(req.session, req.body.account);
+    res.json({ success: true, activeAccount: req.session.activeAccount, accounts: accounts.listAccounts(req.session) });
+  } catch (error) {
+    sendError(req, res, error);
+  }
+});
+
+// Unlink one account; the others stay signed in
+app.delete('/api/accounts/:email', (req, res) => {
+  if (!accounts.unlinkAccount(req.session, req.params.email)) {
+    return res.status(404).json({ success: false, message: 'Account not found' });
+  }
+  res.json({
+    success: true,
+    activeAccount: req.session.activeAccount || null,
+    accounts: accounts.listAccounts(req.session),
+    message: `Removed ${req.params.email}`
+  });
+});
+
+// Logout (every linked account)
 app.post('/api/auth/logout', (req, res) => {
   req.session.destroy();
   res.json({ success: true });
@@ -339,193 +540,540 @@ app.get('/api/folders', async (req, res) => {
     const oauth2Client = getAuthenticatedClient(req);
     const drive = google.drive({ version: 'v3', auth: oauth2Client });
 
-    const allFolders = [];
-    let nextPageToken = null;
+    // Shared drives and folders shared with the user are opt-in
+    const driveReader = await getDriveReader(req, drive);
+    const allFolders = await driveReader.listAllFolders(drive, { includeShared: req.query.includeShared === 'true' });
+    res.json({
+      success: true,
+      structure: driveOps.buildFolderTree(allFolders),
+      cache: driveCache.getStatus(await getAccountId(req, drive))
+    });
+  } catch (error) {
+    console.error('Folder fetch error:', error);
+    sendError(req, res, error);
+  }
+});
+
+// Folder cache status
+app.get('/api/drive-cache', async (req, res) => {
+  try {
+    const drive = google.drive({ version: 'v3', auth: getAuthenticatedClient(req) });
+    res.json({ success: true, cache: driveCache.getStatus(await getAccountId(req, drive)) });
+  } catch (error) {
+    sendError(req, res, error);
+  }
+});
 
-    do {
-      const response = await drive.files.list({
-        q: "mimeType='application/vnd.google-apps.folder' and trashed=false and 'me' in owners",
-        fields: 'nextPageToken, files(id, name, parents)',
-        pageSize: 1000,
-        pageToken: nextPageToken,
-      });
-      allFolders.push(...(response.data.files || []));
-      nextPageToken = response.data.nextPageToken;
-    } while (nextPageToken);
+// Throw the cache away and list the whole Drive again (when it looks out of date)
+app.post('/api/drive-cache/resync', async (req, res) => {
+  try {
+    const drive = google.drive({ version: 'v3', auth: getAuthenticatedClient(req) });
+    const accountId = await getAccountId(req, drive);
+    await driveCache.resync(drive, accountId);
+    res.json({ success: true, cache: driveCache.getStatus(accountId) });
+  } catch (error) {
+    console.error('[Cache] Resync failed:', error.message);
+    sendError(req, res, error);
+  }
+});
 
-    // Build tree structure
-    const folderMap = new Map();
-    const rootFolders = [];
 
-    allFolders.forEach(folder => {
-      folderMap.set(folder.id, { id: folder.id, name: folder.name, parents: folder.parents || ['root'], folders: [] });
-    });
+const DUPLICATE_CHOICES = ['ask', 'skip', 'replace', 'keep'];
+
+// Upload options shared by the simple and resumable upload routes
+function parseUploadOptions(body) {
+  return {
+    hintText: body.hint,
+    // 'auto' moves the file straight away; 'propose' leaves the move for the user to approve
+    mode: body.mode === 'propose' ? 'propose' : 'auto',
+    // Opt-in: let the AI create a new folder when no existing one fits
+    allowNewFolder: body.allowNewFolder === true || body.allowNewFolder === 'true',
+    // Also match against shared drives and folders shared with the user
+    includeShared: body.includeShared === true || body.includeShared === 'true',
+    // When the file is already in Drive: ask, skip, replace (as a new version) or keep both
+    onDuplicate: DUPLICATE_CHOICES.includes(body.onDuplicate) ? body.onDuplicate : 'keep',
+    // Opt-in: a same-named file in the destination folder gets the upload as a new version
+    newVersion: body.newVersion === true || body.newVersion === 'true',
+    // Opt-in: give the file a descriptive name following renameTemplate (see rename.js)
+    rename: body.rename === true || body.rename === 'true',
+    renameTemplate: body.renameTemplate,
+    // Set when the destination is already known (e.g. a file inside an uploaded folder)
+    parentId: body.parentId || null,
+    folderPath: body.folderPath
+  };
+}
 
-    allFolders.forEach(folder => {
-      const folderObj = folderMap.get(folder.id);
-      const parentId = folder.parents?.[0] || 'root';
-      if (parentId === 'root' || !folderMap.has(parentId)) {
-        rootFolders.push(folderObj);
-      } else {
-        folderMap.get(parentId).folders.push(folderObj);
-      }
-    });
+// Excerpt of an uploaded file's content for the AI ('' when content matching is off)
+async function uploadExcerpt(drive, file) {
+  return file.id && CONTENT_MATCHING && llm.isConfigured() ? extractDriveExcerpt(drive, file) : '';
+}
 
-    const sortFolders = (list) => {
-      list.sort((a, b) => a.name.localeCompare(b.name));
-      list.forEach(f => sortFolders(f.folders));
+// Pick a destination for a file: the first matching rule, else the AI. `file` needs
+// name, mimeType and size; with an `id` (already in Drive) its content can be read too.
+// Resolves with { matchedFolder, rule, placedBy }; matchedFolder is null when nothing fits.
+// Pass contentExcerpt when the content has been read already.
+async function chooseDestination(req, drive, file, { hintText, allowNewFolder, includeShared, contentExcerpt }) {
+  // The user's own rules come first; the AI is only asked when none of them match
+  const rule = rules.evaluateRules(await getAccountId(req, drive), {
+    fileName: file.name,
+    mimeType: file.mimeType,
+    size: Number(file.size) || 0,
+    hintText
+  });
+  if (rule) {
+    return {
+      matchedFolder: { id: rule.folderId, path: rule.folderPath },
+      rule,
+      placedBy: { type: 'rule', ruleId: rule.id, ruleName: rule.name }
     };
-    sortFolders(rootFolders);
+  }
 
-    res.json({ success: true, structure: { id: 'root', name: 'My Drive', path: '', folders: rootFolders } });
-  } catch (error) {
-    console.error('Folder fetch error:', error);
-    res.status(error.message === 'Not authenticated' ? 401 : 500).json({ success: false, message: error.message });
+  if (contentExcerpt === undefined) contentExcerpt = await uploadExcerpt(drive, file);
+  const matchedFolder = await findMatchingFolder(llm, drive, hintText, file.name, {
+    extension: file.name.split('.').pop(),
+    fileType: getFileType(file.name),
+    size: file.size,
+    contentExcerpt
+  }, { allowNewFolder, includeShared, driveReader: await getDriveReader(req, drive) });
+  return { matchedFolder, rule: null, placedBy: matchedFolder ? { type: 'ai' } : null };
+}
+
+// Handle a fresh upload that duplicates `duplicate` (see duplicates.js): 'skip' trashes the
+// new copy, 'replace' stores it as a new version of the existing file and drops the copy,
+// 'ask' leaves it where it was uploaded until the user answers (POST /api/upload/duplicate).
+async function resolveDuplicateUpload(req, drive, file, duplicate, choice, found = [duplicate]) {
+  const existing = `"${duplicate.name}" in "${duplicate.folderPath}"`;
+  const response = { success: true, moved: false, action: null, createdFolderAction: null, placedBy: null, duplicates: found };
+
+  if (choice === 'ask') {
+    return {
+      ...response,
+      file,
+      awaitingDecision: true,
+      message: `"${file.name}" is already in Drive as ${existing}${duplicate.reason === 'likely' ? ' (same name and size)' : ''}`
+    };
   }
-});
+  if (choice === 'skip') {
+    const { action } = await actions.performAction(drive, accountSession(req), {
+      type: 'trash_file',
+      source: 'upload',
+      fileId: file.id,
+      fileName: file.name
+    });
+    return { ...response, file: duplicate, action, skipped: true, message: `Skipped "${file.name}": it is already in Drive as ${existing}` };
+  }
+
+  const { file: updated, action } = await storeAsNewVersion(req, drive, file, duplicate.id);
+  return { ...response, file: updated, action, replaced: true, message: `Uploaded "${file.name}" as a new version of ${existing}` };
+}
 
+// Copy a freshly uploaded file's content into targetId as a new version, then trash the upload
+// through the action journal, so the copy can still be restored. Resolves with { file, action }.
+async function storeAsNewVersion(req, drive, file, targetId) {
+  const updated = await uploads.addRevisionFrom(drive, file, targetId);
+  const { action } = await actions.performAction(drive, accountSession(req), {
+    type: 'trash_file',
+    source: 'upload',
+    fileId: file.id,
+    fileName: file.name
+  });
+  return { file: updated, action };
+}
 
-// Upload file
-app.post('/api/upload', upload.single('file'), async (req, res) => {
+// For the newVersion option: when folderId already holds a file named like the upload, the
+// upload becomes its new version. Resolves with the upload response fields, or null.
+async function addAsNewVersion(req, drive, file, folderId, folderPath) {
+  const existing = await revisions.findSameNamedFile(drive, folderId, file.name, file.id);
+  if (!existing) return null;
+  const { file: updated, action } = await storeAsNewVersion(req, drive, file, existing.id);
+  return {
+    success: true,
+    file: updated,
+    moved: false,
+    action,
+    createdFolderAction: null,
+    replaced: true,
+    previousRevisionId: existing.headRevisionId,
+    message: `Uploaded "${file.name}" as a new version of "${existing.name}" in "${folderPath}"`
+  };
+}
+
+// Check a freshly uploaded Drive file for duplicates (options.onDuplicate decides what
+// happens to one), then place it. Resolves with the fields of the upload response.
+async function placeUploadedFile(req, drive, file, options) {
+  // The file is in Drive already, so a failed check must not fail the upload
+  const found = await duplicates.findDuplicates(drive, file, { driveReader: await getDriveReader(req, drive) })
+    .catch((error) => {
+      console.error('[Upload] Duplicate check failed:', error.message);
+      return [];
+    });
+  if (found.length && options.onDuplicate !== 'keep') {
+    return resolveDuplicateUpload(req, drive, file, found[0], options.onDuplicate, found);
+  }
+
+  const result = await placeFile(req, drive, file, options);
+  if (found.length) {
+    result.duplicates = found;
+    result.message += ` A ${found[0].reason === 'identical' ? 'copy' : 'file of the same name and size'} is also in "${found[0].folderPath}".`;
+  }
+  return result;
+}
+
+// The rename step of an upload (options.rename): name the file after options.renameTemplate,
+// keeping it unique in folderId (null for a folder that is only proposed). The rename is
+// journaled like the move, so 'propose' mode only suggests it. Adds renamed
+// ({ originalName, newName }) and renameAction to the upload response; a failure is only noted.
+async function renameUploadedFile(req, drive, response, { hintText, mode, renameTemplate }, folderId, contentExcerpt) {
+  const { file } = response;
   try {
-    const oauth2Client = getAuthenticatedClient(req);
-    const drive = google.drive({ version: 'v3', auth: oauth2Client });
-    const hintText = req.body.hint;
+    const template = rename.parseTemplate(renameTemplate);
+    const [details, taken] = await Promise.all([
+      drive.files.get({ fileId: file.id, fields: rename.RENAME_FIELDS, supportsAllDrives: true }).then(r => r.data),
+      rename.listFolderNames(drive, folderId)
+    ]);
+    const newName = await rename.proposeName(llm, details, { template, hintText, contentExcerpt, taken });
+    if (!newName || newName === file.name) {
+      return { ...response, message: `${response.message} Kept the name${newName ? '' : ': the AI could not tell what the file is'}.` };
+    }
 
-    if (!req.file) {
-      return res.status(400).json({ success: false, message: 'No file provided' });
+    const fields = { type: 'rename_file', source: 'upload', fileId: file.id, fileName: file.name, newName };
+    const renamed = { originalName: file.name, newName };
+    if (mode === 'propose') {
+      const renameAction = actions.recordAction(accountSession(req), fields);
+      return { ...response, renamed, renameAction, message: `${response.message} Suggested name: "${newName}" (awaiting approval).` };
     }
+    const { action: renameAction } = await actions.performAction(drive, accountSession(req), fields);
+    return { ...response, file: { ...file, name: newName }, renamed, renameAction, message: `${response.message} Renamed to "${newName}".` };
+  } catch (error) {
+    if (oauth.isReauthError(error)) throw error;
+    console.error('[Upload] Rename failed:', error.message);
+    return { ...response, message: `${response.message} Not renamed: ${error.message}.` };
+  }
+}
 
-    const fileMetadata = { name: req.file.originalname };
-    const media = { mimeType: req.file.mimetype, body: Readable.from(req.file.buffer) };
+// Move a freshly uploaded Drive file into the folder chosen by the user's rules or the AI,
+// and rename it when options.rename is set. Resolves with the fields of the upload response.
+async function placeFile(req, drive, file, options) {
+  const { hintText, mode, allowNewFolder, includeShared, newVersion, rename: renameFile, parentId, folderPath } = options;
+  // Read once for both the rename and the AI's folder match
+  const contentExcerpt = renameFile ? await uploadExcerpt(drive, file) : undefined;
+
+  // Uploaded straight into a chosen folder: nothing to match or move
+  if (parentId) {
+    const versioned = newVersion && await addAsNewVersion(req, drive, file, parentId, folderPath || 'the selected folder');
+    if (versioned) return { ...versioned, placedBy: { type: 'user' } };
+    const response = {
+      success: true,
+      file,
+      moved: false,
+      action: null,
+      createdFolderAction: null,
+      placedBy: { type: 'user' },
+      message: `File "${file.name}" uploaded to "${folderPath || 'the selected folder'}"!`
+    };
+    return renameFile ? renameUploadedFile(req, drive, response, options, parentId, contentExcerpt) : response;
+  }
 
-    const response = await drive.files.create({
-      resource: fileMetadata,
-      media: media,
-      fields: 'id,name,webViewLink,parents',
-    });
+  let moved = false;
+  let moveMessage = '';
+  let action = null;
+  let createdFolderAction = null;
 
-    let moved = false;
-    let moveMessage = '';
+  const { matchedFolder, rule, placedBy } = await chooseDestination(req, drive, file, { hintText, allowNewFolder, includeShared, contentExcerpt });
+  const placedByLabel = rule ? ` by rule "${rule.name}"` : '';
 
-    // Try to find matching folder using AI
-    if (hintText || req.file.originalname) {
-      const matchedFolder = await findMatchingFolder(drive, hintText, req.file.originalname, {
-        extension: req.file.originalname.split('.').pop(),
-        fileType: getFileType(req.file.originalname),
-        size: req.file.size
-      });
+  // Only the folder the file ends up in now is checked: not proposed moves or new folders
+  if (newVersion && mode === 'auto' && !matchedFolder?.isNew) {
+    const versioned = matchedFolder
+      ? await addAsNewVersion(req, drive, file, matchedFolder.id, matchedFolder.path)
+      : await addAsNewVersion(req, drive, file, file.parents?.[0] || 'root', await actions.lookupName(drive, accountSession(req), file.parents?.[0]));
+    if (versioned) return { ...versioned, placedBy };
+  }
 
-      if (matchedFolder) {
-        const file = await drive.files.get({ fileId: response.data.id, fields: 'parents' });
-        const previousParents = file.data.parents.join(',');
-        await drive.files.update({
-          fileId: response.data.id,
-          addParents: matchedFolder.id,
-          removeParents: previousParents,
-          fields: 'id,name,parents'
-        });
-        moved = true;
-        moveMessage = ` and moved to "${matchedFolder.name}"`;
+  if (matchedFolder) {
+    // A suggested new folder is created first (or proposed, so the move can refer to it)
+    if (matchedFolder.isNew) {
+      const folderFields = {
+        type: 'create_folder',
+        source: 'upload',
+        name: matchedFolder.name,
+        parentId: matchedFolder.parentId,
+        parentName: matchedFolder.parentPath || undefined
+      };
+      if (mode === 'propose') {
+        createdFolderAction = actions.recordAction(accountSession(req), folderFields);
+        matchedFolder.id = `${actions.PROPOSED_ID_PREFIX}${createdFolderAction.id}`;
       } else {
-        moveMessage = hintText ? ' (no matching folder found)' : '';
+        const created = await actions.performAction(drive, accountSession(req), folderFields);
+        createdFolderAction = created.action;
+        matchedFolder.id = created.result.id;
+      }
+    }
+
+    const fields = {
+      type: 'move_file',
+      source: 'upload',
+      fileId: file.id,
+      fileName: file.name,
+      folderId: matchedFolder.id,
+      folderName: matchedFolder.path,
+      ruleId: rule?.id
+    };
+    if (mode === 'propose') {
+      action = actions.recordAction(accountSession(req), fields);
+      moveMessage = `. Suggested ${matchedFolder.isNew ? 'new folder' : 'folder'}${placedByLabel}: "${matchedFolder.path}" (awaiting approval)`;
+    } else {
+      ({ action } = await actions.performAction(drive, accountSession(req), fields));
+      moved = true;
+      moveMessage = ` and moved to ${matchedFolder.isNew ? 'new folder ' : ''}"${matchedFolder.path}"${placedByLabel}`;
+    }
+  } else {
+    moveMessage = hintText ? ' (no matching folder found)' : '';
+  }
+
+  const response = {
+    success: true,
+    file,
+    moved,
+    action,
+    createdFolderAction,
+    placedBy,
+    message: `File "${file.name}" uploaded successfully${moveMessage}!`
+  };
+  if (!renameFile) return response;
+  const folderId = matchedFolder ? (matchedFolder.isNew ? null : matchedFolder.id) : file.parents?.[0] || 'root';
+  return renameUploadedFile(req, drive, response, options, folderId, contentExcerpt);
+}
+
+// Upload file (streamed straight to Drive; use /api/uploads for large or resumable uploads)
+app.post('/api/upload', (req, res) => {
+  upload.single('file')(req, res, async (uploadError) => {
+    try {
+      if (uploadError) {
+        if (uploadError.code === 'LIMIT_FILE_SIZE') {
+          return res.status(413).json({ success: false, message: `File is too large; the limit is ${Math.round(uploads.MAX_UPLOAD_BYTES / 1024 / 1024)} MB` });
+        }
+        throw uploadError;
+      }
+      if (!req.file) {
+        return res.status(400).json({ success: false, message: 'No file provided' });
       }
+
+      const drive = google.drive({ version: 'v3', auth: getAuthenticatedClient(req) });
+      res.json(await placeUploadedFile(req, drive, req.file.driveFile, parseUploadOptions(req.body)));
+    } catch (error) {
+      console.error('Upload error:', error);
+      sendError(req, res, error);
+    }
+  });
+});
+
+// The user's answer for an upload that waited on a duplicate (onDuplicate 'ask'): choice
+// is skip, replace or keep, fileId the uploaded file and duplicateId the file it matched.
+// The upload options are sent again for 'keep', which places the file as usual.
+app.post('/api/upload/duplicate', async (req, res) => {
+  try {
+    const drive = google.drive({ version: 'v3', auth: getAuthenticatedClient(req) });
+    const { fileId, duplicateId, choice } = req.body;
+    if (!['skip', 'replace', 'keep'].includes(choice)) {
+      return res.status(400).json({ success: false, message: 'choice must be skip, replace or keep' });
+    }
+    if (!fileId || (choice !== 'keep' && !duplicateId)) {
+      return res.status(400).json({ success: false, message: 'fileId and duplicateId are required' });
     }
 
+    const file = (await drive.files.get({ fileId, fields: uploads.FILE_FIELDS, supportsAllDrives: true })).data;
+    if (choice === 'keep') {
+      return res.json(await placeFile(req, drive, file, parseUploadOptions(req.body)));
+    }
+    const duplicate = (await drive.files.get({ fileId: duplicateId, fields: duplicates.DUPLICATE_FIELDS, supportsAllDrives: true })).data;
+    duplicate.folderPath = await actions.lookupName(drive, accountSession(req), duplicate.parents?.[0]);
+    res.json(await resolveDuplicateUpload(req, drive, file, duplicate, choice));
+  } catch (error) {
+    console.error('[Upload] Duplicate resolution failed:', error.message);
+    sendError(req, res, error);
+  }
+});
+
+// Preview where a file would go before uploading it (rules, then AI on name and hint only)
+app.post('/api/upload/suggest', async (req, res) => {
+  try {
+    const drive = google.drive({ version: 'v3', auth: getAuthenticatedClient(req) });
+    const { name, mimeType, size } = req.body;
+    if (!name) {
+      return res.status(400).json({ success: false, message: 'File name is required' });
+    }
+    const { matchedFolder, placedBy } = await chooseDestination(req, drive, { name, mimeType, size }, parseUploadOptions(req.body));
     res.json({
       success: true,
-      file: response.data,
-      moved,
-      message: `File "${req.file.originalname}" uploaded successfully${moveMessage}!`
+      suggestion: matchedFolder
+        ? { folderId: matchedFolder.isNew ? null : matchedFolder.id, path: matchedFolder.path, isNew: !!matchedFolder.isNew }
+        : null,
+      placedBy
     });
   } catch (error) {
-    console.error('Upload error:', error);
-    res.status(error.message === 'Not authenticated' ? 401 : 500).json({ success: false, message: error.message });
+    sendError(req, res, error);
   }
 });
 
-function getFileType(filename) {
-  const ext = '.' + filename.split('.').pop().toLowerCase();
-  const typeMap = {
-    '.jpg': 'Image', '.jpeg': 'Image', '.png': 'Image', '.gif': 'Image', '.webp': 'Image',
-    '.mp4': 'Video', '.avi': 'Video', '.mov': 'Video', '.mkv': 'Video',
-    '.mp3': 'Audio', '.wav': 'Audio', '.flac': 'Audio',
-    '.pdf': 'Document', '.doc': 'Document', '.docx': 'Document',
-    '.xls': 'Spreadsheet', '.xlsx': 'Spreadsheet',
-    '.ppt': 'Presentation', '.pptx': 'Presentation',
-    '.txt': 'Text', '.zip': 'Archive', '.rar': 'Archive',
-    '.js': 'Code', '.ts': 'Code', '.py': 'Code', '.html': 'Code', '.css': 'Code'
-  };
-  return typeMap[ext] || 'File';
-}
-
-async function findMatchingFolder(drive, hintText, fileName, fileMetadata) {
-  if (!OPENROUTER_API_KEY) return null;
-
+// Resumable upload: open a session for a file of the given name, size and type
+app.post('/api/uploads', async (req, res) => {
   try {
-    const allFolders = [];
-    let nextPageToken = null;
-    do {
-      const response = await drive.files.list({
-        q: "mimeType='application/vnd.google-apps.folder' and trashed=false and 'me' in owners",
-        fields: 'nextPageToken, files(id, name)',
-        pageSize: 1000,
-        pageToken: nextPageToken,
-      });
-      allFolders.push(...(response.data.files || []));
-      nextPageToken = response.data.nextPageToken;
-    } while (nextPageToken);
-
-    if (allFolders.length === 0) return null;
-
-    const folderList = allFolders.map(f => f.name).join(', ');
-    const fileInfo = [
-      fileName ? `File name: "${fileName}"` : '',
-      fileMetadata.extension ? `Extension: ${fileMetadata.extension}` : '',
-      fileMetadata.fileType ? `Type: ${fileMetadata.fileType}` : ''
-    ].filter(Boolean).join(', ');
-
-    const requestBody = JSON.stringify({
-      model: OPENROUTER_MODEL,
-      messages: [
-        { role: 'system', content: `Match files to folders. Available folders: ${folderList}. Return ONLY the exact folder name or "NONE".` },
-        { role: 'user', content: `${fileInfo}${hintText ? `. Hint: "${hintText}"` : ''}. Which folder?` }
-      ],
-      temperature: 0.3
+    const oauth2Client = getAuthenticatedClient(req);
+    const { name, size, mimeType } = req.body;
+    const options = parseUploadOptions(req.body);
+    const resumable = await uploads.startUpload({
+      oauth2Client,
+      sessionId: req.sessionID,
+      name,
+      size,
+      mimeType,
+      parentId: options.parentId,
+      // Chunks finish on the account the upload started on, even if the user switches meanwhile
+      options: { ...options, account: req.driveAccount }
     });
+    res.json({ success: true, upload: uploads.serializeUpload(resumable) });
+  } catch (error) {
+    console.error('[Upload] Could not start resumable upload:', error.message);
+    sendError(req, res, error);
+  }
+});
 
-    return new Promise((resolve) => {
-      const req = https.request({
-        hostname: 'openrouter.ai',
-        path: '/api/v1/chat/completions',
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
-          'HTTP-Referer': BACKEND_URL
-        }
-      }, (res) => {
-        let data = '';
-        res.on('data', chunk => data += chunk);
-        res.on('end', () => {
-          try {
-            const response = JSON.parse(data);
-            const folderName = response.choices?.[0]?.message?.content?.trim().replace(/^["']|["']$/g, '');
-            if (!folderName || folderName.toLowerCase() === 'none') {
-              resolve(null);
-            } else {
-              resolve(allFolders.find(f => f.name.toLowerCase() === folderName.toLowerCase()) || null);
-            }
-          } catch { resolve(null); }
+// Folder upload: recreate the uploaded directory tree in Drive, under the folder the user
+// picked (parentId) or the one the AI matches for the top-level folder. The client then
+// uploads each file with the parentId of its directory. With mode 'propose' the tree is
+// created in My Drive, like a single upload, and the AI's placement (moving the top-level
+// folder, and creating a new folder for it) waits for approval.
+app.post('/api/folder-uploads', async (req, res) => {
+  try {
+    const drive = google.drive({ version: 'v3', auth: getAuthenticatedClient(req) });
+    const { directories = [], fileNames = [], parentId, parentPath } = req.body;
+    const { hintText, mode, allowNewFolder, includeShared } = parseUploadOptions(req.body);
+    const rootName = uploads.folderTreeRoot(directories);
+
+    let parent = { id: 'root', path: 'My Drive' };
+    let placedBy = null;
+    let proposal = null;
+    if (parentId) {
+      parent = { id: parentId, path: parentPath || await actions.lookupName(drive, accountSession(req), parentId) };
+      placedBy = { type: 'user' };
+    } else {
+      // Let the AI place the top-level folder, judging by its name and a sample of its files
+      const matched = await findMatchingFolder(llm, drive, hintText, rootName, {
+        fileType: 'Folder',
+        contentExcerpt: fileNames.length ? `Folder containing: ${fileNames.slice(0, 30).join(', ')}` : ''
+      }, { allowNewFolder, includeShared, driveReader: await getDriveReader(req, drive) });
+      if (matched && mode === 'propose') {
+        proposal = matched;
+      } else if (matched?.isNew) {
+        const { result } = await actions.performAction(drive, accountSession(req), {
+          type: 'create_folder',
+          source: 'upload',
+          name: matched.name,
+          parentId: matched.parentId,
+          parentName: matched.parentPath || undefined
         });
-      });
-      req.on('error', () => resolve(null));
-      req.write(requestBody);
-      req.end();
+        parent = { id: result.id, path: matched.path };
+      } else if (matched) {
+        parent = { id: matched.id, path: matched.path };
+      }
+      if (matched) placedBy = { type: 'ai' };
+    }
+
+    const tree = await uploads.createFolderTree(drive, accountSession(req), {
+      parentId: parent.id,
+      parentName: parent.path,
+      directories
+    });
+    const journaled = [tree.action];
+    let message = `Created "${rootName}" in "${parent.path}"`;
+    if (proposal) {
+      journaled.push(...proposeFolderPlacement(req, tree.action, proposal));
+      message += `. Suggested ${proposal.isNew ? 'new folder' : 'folder'}: "${proposal.path}" (awaiting approval)`;
+    }
+    res.json({
+      success: true,
+      parent,
+      placedBy,
+      folders: tree.folders,
+      actions: journaled,
+      message
     });
-  } catch { return null; }
+  } catch (error) {
+    console.error('[Upload] Folder upload failed:', error.message);
+    sendError(req, res, error);
+  }
+});
+
+// Proposals that move an uploaded folder tree into the AI's match, creating the matched
+// folder first when it is new. Returns the recorded actions.
+function proposeFolderPlacement(req, treeAction, matched) {
+  const proposed = [];
+  let folderId = matched.id;
+  if (matched.isNew) {
+    const folderAction = actions.recordAction(accountSession(req), {
+      type: 'create_folder',
+      source: 'upload',
+      name: matched.name,
+      parentId: matched.parentId,
+      parentName: matched.parentPath || undefined
+    });
+    folderId = `${actions.PROPOSED_ID_PREFIX}${folderAction.id}`;
+    proposed.push(folderAction);
+  }
+  proposed.push(actions.recordAction(accountSession(req), {
+    type: 'move_file',
+    source: 'upload',
+    fileId: treeAction.createdId,
+    fileName: treeAction.name,
+    folderId,
+    folderName: matched.path
+  }));
+  return proposed;
 }
 
+// Resumable upload progress: how many bytes Drive has, to resume after a dropped connection
+app.get('/api/uploads/:id', async (req, res) => {
+  const resumable = uploads.getUpload(req.params.id, req.sessionID);
+  if (!resumable) {
+    return res.status(404).json({ success: false, message: 'Upload not found' });
+  }
+  try {
+    await uploads.refreshStatus(resumable);
+    res.json({ success: true, upload: uploads.serializeUpload(resumable) });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// Resumable upload chunk: raw bytes with "Content-Range: bytes <start>-<end>/<total>".
+// The response to the last chunk is the same as POST /api/upload.
+app.put('/api/uploads/:id', async (req, res) => {
+  const resumable = uploads.getUpload(req.params.id, req.sessionID);
+  if (!resumable) {
+    return res.status(404).json({ success: false, message: 'Upload not found' });
+  }
+  try {
+    const drive = google.drive({ version: 'v3', auth: getAuthenticatedClient(req, resumable.options.account) });
+    await uploads.uploadChunk(resumable, {
+      range: req.headers['content-range'],
+      length: req.headers['content-length'],
+      body: req
+    });
+    if (resumable.status !== 'complete') {
+      return res.json({ success: true, upload: uploads.serializeUpload(resumable) });
+    }
+
+    const file = await drive.files.get({ fileId: resumable.file.id, fields: uploads.FILE_FIELDS, supportsAllDrives: true });
+    resumable.result = await placeUploadedFile(req, drive, file.data, resumable.options);
+    res.json({ ...resumable.result, upload: uploads.serializeUpload(resumable) });
+  } catch (error) {
+    console.error('[Upload] Chunk failed:', error.message);
+    // Drain the rest of an unread chunk so the client gets the error response
+    req.resume();
+    sendError(req, res, error, { upload: uploads.serializeUpload(resumable) });
+  }
+});
 
 // Create folder
 app.post('/api/folders', async (req, res) => {
@@ -534,16 +1082,15 @@ app.post('/api/folders', async (req, res) => {
     const drive = google.drive({ version: 'v3', auth: oauth2Client });
     const { name, parentId = 'root' } = req.body;
 
-    const fileMetadata = {
+    const { action, result: folder } = await actions.performAction(drive, accountSession(req), {
+      type: 'create_folder',
+      source: 'api',
       name,
-      mimeType: 'application/vnd.google-apps.folder',
-      parents: parentId !== 'root' ? [parentId] : undefined
-    };
-
-    const response = await drive.files.create({ resource: fileMetadata, fields: 'id,name,webViewLink' });
-    res.json({ success: true, folder: response.data, message: `Folder "${name}" created!` });
+      parentId
+    });
+    res.json({ success: true, folder, action, message: `Folder "${name}" created!` });
   } catch (error) {
-    res.status(error.message === 'Not authenticated' ? 401 : 500).json({ success: false, message: error.message });
+    sendError(req, res, error);
   }
 });
 
@@ -554,39 +1101,72 @@ app.post('/api/files/move', async (req, res) => {
     const drive = google.drive({ version: 'v3', auth: oauth2Client });
     const { fileId, newParentId } = req.body;
 
-    const file = await drive.files.get({ fileId, fields: 'parents' });
-    const previousParents = file.data.parents.join(',');
-
-    const response = await drive.files.update({
+    const { action, result: file } = await actions.performAction(drive, accountSession(req), {
+      type: 'move_file',
+      source: 'api',
       fileId,
-      addParents: newParentId,
-      removeParents: previousParents,
-      fields: 'id,name,parents'
+      fileName: await actions.lookupName(drive, accountSession(req), fileId),
+      folderId: newParentId,
+      folderName: await actions.lookupName(drive, accountSession(req), newParentId)
     });
-
-    res.json({ success: true, file: response.data, message: 'File moved!' });
+    res.json({ success: true, file, action, message: 'File moved!' });
   } catch (error) {
-    res.status(error.message === 'Not authenticated' ? 401 : 500).json({ success: false, message: error.message });
+    sendError(req, res, error);
   }
 });
 
-// Search files
+// Search files with structured filters (see search.js). `q` is the name filter;
+// pass nextPageToken back as pageToken for the next page.
 app.get('/api/files/search', async (req, res) => {
   try {
     const oauth2Client = getAuthenticatedClient(req);
     const drive = google.drive({ version: 'v3', auth: oauth2Client });
-    const { q } = req.query;
+    const { q, ...filters } = req.query;
 
-    const response = await drive.files.list({
-      q: `name contains '${q}' and trashed=false`,
-      fields: 'files(id, name, mimeType, parents, size, modifiedTime)',
-      orderBy: 'name',
-      pageSize: 50
+    const { files, nextPageToken, scopeTruncated } = await search.searchFiles(drive, { ...filters, name: q }, {
+      driveReader: await getDriveReader(req, drive)
     });
+    res.json({ success: true, items: files, nextPageToken, scopeTruncated });
+  } catch (error) {
+    sendError(req, res, error);
+  }
+});
+
+const MAX_NATURAL_QUERY_LENGTH = 500;
 
-    res.json({ success: true, items: response.data.files || [] });
+// Natural-language search: the AI turns the request into search filters, which come back
+// with the first page of results (as GET /api/files/search parameters) so the user can see
+// and adjust what was searched, and fetch further pages with GET /api/files/search.
+app.post('/api/files/search/natural', async (req, res) => {
+  try {
+    const drive = google.drive({ version: 'v3', auth: getAuthenticatedClient(req) });
+    if (!llm.isConfigured()) {
+      return res.status(400).json({ success: false, message: 'AI not configured' });
+    }
+    const query = String(req.body.query || '').trim();
+    if (!query || query.length > MAX_NATURAL_QUERY_LENGTH) {
+      return res.status(400).json({ success: false, message: `Describe what to search for in up to ${MAX_NATURAL_QUERY_LENGTH} characters` });
+    }
+
+    const driveReader = await getDriveReader(req, drive);
+    const { filters, folderPath, notes } = await search.interpretSearch(llm, drive, query, {
+      includeShared: !!req.body.includeShared,
+      driveReader
+    });
+    const { files, nextPageToken, scopeTruncated } = await search.searchFiles(drive, { ...filters, pageSize: req.body.pageSize }, { driveReader });
+    const { name, ...rest } = filters;
+    res.json({
+      success: true,
+      filters: { ...(name && { q: name }), ...rest },
+      folderPath,
+      notes,
+      items: files,
+      nextPageToken,
+      scopeTruncated
+    });
   } catch (error) {
-    res.status(error.message === 'Not authenticated' ? 401 : 500).json({ success: false, message: error.message });
+    console.error('[Search] Natural-language search failed:', error.message);
+    sendError(req, res, error);
   }
 });
 
@@ -596,78 +1176,545 @@ app.get('/api/files/latest', async (req, res) => {
     const oauth2Client = getAuthenticatedClient(req);
     const drive = google.drive({ version: 'v3', auth: oauth2Client });
 
-    const response = await drive.files.list({
-      q: "trashed=false and 'me' in owners and mimeType != 'application/vnd.google-apps.folder'",
-      fields: 'files(id, name, mimeType, size, modifiedTime, webViewLink, parents)',
-      orderBy: 'modifiedTime desc',
-      pageSize: 1
+    const file = await (await getDriveReader(req, drive)).getLatestFile(drive);
+    if (file) {
+      res.json({ success: true, file });
+    } else {
+      res.json({ success: false, message: 'No files found' });
+    }
+  } catch (error) {
+    sendError(req, res, error);
+  }
+});
+
+// A file's versions, newest first (see revisions.js)
+app.get('/api/files/:id/revisions', async (req, res) => {
+  try {
+    const drive = google.drive({ version: 'v3', auth: getAuthenticatedClient(req) });
+    res.json({ success: true, ...await revisions.listRevisions(drive, req.params.id) });
+  } catch (error) {
+    console.error('[Revisions] Listing failed:', error.message);
+    sendError(req, res, error);
+  }
+});
+
+// Make an earlier version current again. Journaled, so Undo brings back the version it replaced.
+app.post('/api/files/:id/revisions/:revisionId/restore', async (req, res) => {
+  try {
+    const drive = google.drive({ version: 'v3', auth: getAuthenticatedClient(req) });
+    const { id: fileId, revisionId } = req.params;
+    const revision = (await drive.revisions.get({ fileId, revisionId, fields: 'id, modifiedTime' })).data;
+
+    const { action, result: file } = await actions.performAction(drive, accountSession(req), {
+      type: 'restore_revision',
+      source: 'api',
+      fileId,
+      fileName: await actions.lookupName(drive, accountSession(req), fileId),
+      revisionId,
+      revisionTime: revision.modifiedTime
     });
+    res.json({ success: true, file, action, message: `Restored "${action.fileName}" to the version from ${new Date(revision.modifiedTime).toLocaleString()}` });
+  } catch (error) {
+    console.error('[Revisions] Restore failed:', error.message);
+    sendError(req, res, error);
+  }
+});
+
+// Duplicate report: groups of identical (or likely identical) files across the user's Drive
+app.get('/api/duplicates', async (req, res) => {
+  try {
+    const drive = google.drive({ version: 'v3', auth: getAuthenticatedClient(req) });
+    const report = await duplicates.findDuplicateClusters(drive, { driveReader: await getDriveReader(req, drive) });
+    res.json({ success: true, ...report });
+  } catch (error) {
+    console.error('[Duplicates] Report failed:', error.message);
+    sendError(req, res, error);
+  }
+});
 
-    if (response.data.files?.length > 0) {
-      const file = response.data.files[0];
-      let parentName = 'My Drive';
-      if (file.parents?.length > 0) {
-        try {
-          const parent = await drive.files.get({ fileId: file.parents[0], fields: 'name' });
-          parentName = parent.data.name;
-        } catch {}
+// The journal keeps this many entries, so every change made by one request stays undoable
+const MAX_ACTIONS_PER_REQUEST = 50;
+
+// Trash the extras picked in the duplicate report; each one is journaled and can be undone
+app.post('/api/duplicates/trash', async (req, res) => {
+  try {
+    const drive = google.drive({ version: 'v3', auth: getAuthenticatedClient(req) });
+    oauth.requireFeature(accounts.getTokens(req.session, req.driveAccount), 'organize');
+    const { fileIds } = req.body;
+    if (!Array.isArray(fileIds) || fileIds.length === 0 || fileIds.length > MAX_ACTIONS_PER_REQUEST) {
+      return res.status(400).json({ success: false, message: `Pick between 1 and ${MAX_ACTIONS_PER_REQUEST} files` });
+    }
+
+    const trashed = [];
+    const failed = [];
+    for (const fileId of fileIds) {
+      try {
+        const { action } = await actions.performAction(drive, accountSession(req), {
+          type: 'trash_file',
+          source: 'duplicates',
+          fileId,
+          fileName: await actions.lookupName(drive, accountSession(req), fileId)
+        });
+        trashed.push(action);
+      } catch (error) {
+        if (oauth.isReauthError(error)) throw error;
+        failed.push({ fileId, message: error.message });
       }
-      res.json({ success: true, file: { ...file, parentName } });
-    } else {
-      res.json({ success: false, message: 'No files found' });
     }
+    res.json({
+      success: true,
+      actions: trashed,
+      failed,
+      message: `Moved ${trashed.length} file(s) to the trash${failed.length ? `; ${failed.length} failed` : ''}`
+    });
   } catch (error) {
-    res.status(error.message === 'Not authenticated' ? 401 : 500).json({ success: false, message: error.message });
+    sendError(req, res, error);
   }
 });
 
+// Bulk rename, step 1: names for the files in a folder following `template` (see rename.js).
+// Nothing is renamed until POST /api/rename/apply.
+app.post('/api/rename/preview', async (req, res) => {
+  try {
+    const oauth2Client = getAuthenticatedClient(req);
+    oauth.requireFeature(accounts.getTokens(req.session, req.driveAccount), 'organize');
+    const drive = google.drive({ version: 'v3', auth: oauth2Client });
+    const template = rename.parseTemplate(req.body.template);
+    if (template.includes('{topic}') && !llm.isConfigured()) {
+      return res.status(400).json({ success: false, message: 'AI not configured' });
+    }
+    const { folderId = 'root', hint, useContent = false } = req.body;
+    const readContent = CONTENT_MATCHING && useContent ? file => extractDriveExcerpt(drive, file) : async () => '';
+
+    const preview = await rename.proposeRenames(llm, drive, folderId, { template, hintText: hint, readContent });
+    res.json({ success: true, template, ...preview });
+  } catch (error) {
+    console.error('[Rename] Preview failed:', error.message);
+    sendError(req, res, error);
+  }
+});
+
+// Bulk rename, step 2: apply the picked names ([{ fileId, newName }]); each rename is
+// journaled and can be undone
+app.post('/api/rename/apply', async (req, res) => {
+  try {
+    const drive = google.drive({ version: 'v3', auth: getAuthenticatedClient(req) });
+    oauth.requireFeature(accounts.getTokens(req.session, req.driveAccount), 'organize');
+    const { renames } = req.body;
+    const limit = Math.min(rename.MAX_FILES, MAX_ACTIONS_PER_REQUEST);
+    if (!Array.isArray(renames) || renames.length === 0 || renames.length > limit) {
+      return res.status(400).json({ success: false, message: `Pick between 1 and ${limit} files` });
+    }
+    if (!renames.every(item => item?.fileId && typeof item.newName === 'string' && item.newName.trim() && !/[\\/]/.test(item.newName))) {
+      return res.status(400).json({ success: false, message: 'Each rename needs a fileId and a newName without / or \\' });
+    }
+
+    const renamed = [];
+    const failed = [];
+    for (const { fileId, newName } of renames) {
+      try {
+        const { action } = await actions.performAction(drive, accountSession(req), {
+          type: 'rename_file',
+          source: 'rename',
+          fileId,
+          fileName: await actions.lookupName(drive, accountSession(req), fileId),
+          newName: newName.trim()
+        });
+        renamed.push(action);
+      } catch (error) {
+        if (oauth.isReauthError(error)) throw error;
+        failed.push({ fileId, message: error.message });
+      }
+    }
+    res.json({
+      success: true,
+      actions: renamed,
+      failed,
+      message: `Renamed ${renamed.length} file(s)${failed.length ? `; ${failed.length} failed` : ''}`
+    });
+  } catch (error) {
+    sendError(req, res, error);
+  }
+});
+
+// Action journal: recent mutations and pending proposals, newest first
+app.get('/api/actions', (req, res) => {
+  try {
+    res.json({ success: true, actions: actions.getJournal(accountSession(req)) });
+  } catch (error) {
+    sendError(req, res, error);
+  }
+});
+
+// Approve, reject or undo a journaled action
+['approve', 'reject', 'undo'].forEach((operation) => {
+  app.post(`/api/actions/:id/${operation}`, async (req, res) => {
+    try {
+      const oauth2Client = getAuthenticatedClient(req);
+      const drive = google.drive({ version: 'v3', auth: oauth2Client });
+      const action = actions.findAction(accountSession(req), req.params.id);
+      if (!action) {
+        return res.status(404).json({ success: false, message: 'Action not found' });
+      }
+
+      if (operation === 'approve') await actions.applyAction(drive, accountSession(req), action);
+      else if (operation === 'reject') actions.rejectAction(action);
+      else await actions.undoAction(drive, accountSession(req), action);
+
+      const verb = { approve: 'Applied', reject: 'Rejected', undo: 'Undid' }[operation];
+      res.json({ success: true, action, message: `${verb}: ${action.description}` });
+    } catch (error) {
+      console.error(`[Actions] ${operation} failed:`, error.message);
+      sendError(req, res, error);
+    }
+  });
+});
+
+// Routing rules (per Google account), evaluated in /api/upload before AI matching
+app.get('/api/rules', async (req, res) => {
+  try {
+    const drive = google.drive({ version: 'v3', auth: getAuthenticatedClient(req) });
+    res.json({ success: true, rules: rules.listRules(await getAccountId(req, drive)) });
+  } catch (error) {
+    sendError(req, res, error);
+  }
+});
+
+app.post('/api/rules', async (req, res) => {
+  try {
+    const drive = google.drive({ version: 'v3', auth: getAuthenticatedClient(req) });
+    const rule = rules.createRule(await getAccountId(req, drive), req.body);
+    res.json({ success: true, rule, message: `Rule "${rule.name}" created` });
+  } catch (error) {
+    sendError(req, res, error);
+  }
+});
+
+app.put('/api/rules/:id', async (req, res) => {
+  try {
+    const drive = google.drive({ version: 'v3', auth: getAuthenticatedClient(req) });
+    const rule = rules.updateRule(await getAccountId(req, drive), req.params.id, req.body);
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Rule not found' });
+    }
+    res.json({ success: true, rule, message: `Rule "${rule.name}" updated` });
+  } catch (error) {
+    sendError(req, res, error);
+  }
+});
+
+app.delete('/api/rules/:id', async (req, res) => {
+  try {
+    const drive = google.drive({ version: 'v3', auth: getAuthenticatedClient(req) });
+    if (!rules.deleteRule(await getAccountId(req, drive), req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Rule not found' });
+    }
+    res.json({ success: true, message: 'Rule deleted' });
+  } catch (error) {
+    sendError(req, res, error);
+  }
+});
+
+// Bulk organize: scan loose files in a folder and build a reorganization plan
+app.post('/api/organize/jobs', async (req, res) => {
+  try {
+    const oauth2Client = getAuthenticatedClient(req);
+    oauth.requireFeature(accounts.getTokens(req.session, req.driveAccount), 'organize');
+    const drive = google.drive({ version: 'v3', auth: oauth2Client });
+    if (!llm.isConfigured()) {
+      return res.status(400).json({ success: false, message: 'AI not configured' });
+    }
+    const { folderId = 'root', folderName, allowNewFolder = false, useContent = false, includeShared = false } = req.body;
+
+    const job = organize.startJob({
+      llm,
+      drive,
+      driveReader: await getDriveReader(req, drive),
+      sessionId: req.sessionID,
+      account: req.driveAccount,
+      accountId: await getAccountId(req, drive),
+      folderId,
+      folderName,
+      allowNewFolder: !!allowNewFolder,
+      useContent: CONTENT_MATCHING && !!useContent,
+      includeShared: !!includeShared
+    });
+    res.json({ success: true, job: organize.serializeJob(job) });
+  } catch (error) {
+    sendError(req, res, error);
+  }
+});
+
+// An organize job started by this session, while the session still has the account it runs on
+function findOrganizeJob(req) {
+  const job = organize.getJob(req.params.id, req.sessionID);
+  return job && accounts.getTokens(req.session, job.account) ? job : null;
+}
+
+// Job progress and plan (poll while status is scanning or applying). A finished run is
+// added to the account's action journal here, since the background work can't save the session.
+app.get('/api/organize/jobs/:id', (req, res) => {
+  const job = findOrganizeJob(req);
+  if (!job) {
+    return res.status(404).json({ success: false, message: 'Job not found' });
+  }
+  organize.journalJob(job, accounts.getAccount(req.session, job.account));
+  res.json({ success: true, job: organize.serializeJob(job) });
+});
+
+// Apply the approved items, cancel a running scan/apply, or undo an applied plan
+['apply', 'cancel', 'undo'].forEach((operation) => {
+  app.post(`/api/organize/jobs/:id/${operation}`, async (req, res) => {
+    const job = findOrganizeJob(req);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    try {
+      if (operation === 'apply') {
+        const drive = google.drive({ version: 'v3', auth: getAuthenticatedClient(req, job.account) });
+        organize.applyJob(job, req.body.itemIds || [], drive);
+        return res.json({ success: true, job: organize.serializeJob(job), message: `Moving ${job.total} file(s)...` });
+      }
+      if (operation === 'cancel') {
+        organize.cancelJob(job);
+        return res.json({ success: true, job: organize.serializeJob(job), message: 'Cancelling...' });
+      }
+      const drive = google.drive({ version: 'v3', auth: getAuthenticatedClient(req, job.account) });
+      const errors = await organize.undoJob(job, drive, accountSession(req));
+      res.json({
+        success: errors.length === 0,
+        job: organize.serializeJob(job),
+        message: errors.length === 0 ? 'Reorganization undone' : `Some changes could not be undone: ${errors.join('; ')}`
+      });
+    } catch (error) {
+      console.error(`[Organize] ${operation} failed:`, error.message);
+      sendError(req, res, error);
+    }
+  });
+});
+
+// Semantic index of the account's files (see file-index.js). Indexing runs in the
+// background; poll GET /api/file-index for progress.
+app.get('/api/file-index', async (req, res) => {
+  try {
+    const drive = google.drive({ version: 'v3', auth: getAuthenticatedClient(req) });
+    if (!CONTENT_MATCHING) return res.json({ success: true, enabled: false, index: null });
+    res.json({ success: true, enabled: true, index: fileIndex.getStatus(await getAccountId(req, drive), embedder) });
+  } catch (error) {
+    sendError(req, res, error);
+  }
+});
+
+// Build the index, or bring it up to date
+app.post('/api/file-index/refresh', async (req, res) => {
+  try {
+    const drive = google.drive({ version: 'v3', auth: getAuthenticatedClient(req) });
+    oauth.requireFeature(accounts.getTokens(req.session, req.driveAccount), 'index');
+    if (!CONTENT_MATCHING) {
+      return res.status(400).json({ success: false, message: 'The file index is disabled on this server' });
+    }
+    const accountId = await getAccountId(req, drive);
+    fileIndex.refreshIndex(drive, accountId, embedder).catch(() => {});
+    res.json({ success: true, index: fileIndex.getStatus(accountId, embedder) });
+  } catch (error) {
+    sendError(req, res, error);
+  }
+});
+
+app.delete('/api/file-index', async (req, res) => {
+  try {
+    const drive = google.drive({ version: 'v3', auth: getAuthenticatedClient(req) });
+    const accountId = await getAccountId(req, drive);
+    fileIndex.deleteIndex(accountId);
+    res.json({ success: true, index: fileIndex.getStatus(accountId, embedder) });
+  } catch (error) {
+    sendError(req, res, error);
+  }
+});
+
+// The account's file index as used by chat ({ search, cite }), or null when there is none.
+// Using the index keeps it fresh: a stale one is refreshed in the background.
+async function accountFileIndex(req, drive) {
+  if (!CONTENT_MATCHING) return null;
+  const accountId = await getAccountId(req, drive);
+  if (!fileIndex.getStatus(accountId, embedder).built) return null;
+  fileIndex.refreshIfStale(drive, accountId, embedder);
+  return {
+    search: (query) => fileIndex.searchIndex(accountId, embedder, query),
+    cite: fileIndex.citeResults
+  };
+}
+
+// Excerpts of the indexed files that match the latest question, as extra system prompt text
+// plus the sources it cites. Chat still answers, ungrounded, when signed out or unindexed.
+async function groundChat(req, messages) {
+  const none = { context: '', sources: [] };
+  const question = [...(messages || [])].reverse().find(m => m.role === 'user')?.content;
+  if (!question) return none;
+  try {
+    if (!accounts.getTokens(req.session, requestedAccount(req))) return none;
+    const drive = google.drive({ version: 'v3', auth: getAuthenticatedClient(req) });
+    const searchableIndex = await accountFileIndex(req, drive);
+    const results = searchableIndex && await searchableIndex.search(question);
+    if (!results?.length) return none;
+
+    const sources = [];
+    const excerpts = searchableIndex.cite(results, sources)
+      .map(e => `[${e.source}] ${e.file}\n"""\n${e.text}\n"""`)
+      .join('\n');
+    return {
+      context: `\n\nExcerpts from the user's Drive files that may be relevant:\n${excerpts}\n`
+        + 'Answer from them when they are relevant and cite them as [n]; say so when they don\'t answer the question.',
+      sources
+    };
+  } catch (error) {
+    console.warn('[Chat] Could not search the file index:', error.message);
+    return none;
+  }
+}
+
+// Why a chat history from the client can't be sent to the LLM, or null when it can:
+// a non-empty list of { role: 'user' | 'assistant', content: string }
+function invalidChatMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) return 'messages must be a non-empty array';
+  const valid = messages.every(m => m && ['user', 'assistant'].includes(m.role) && typeof m.content === 'string');
+  return valid ? null : 'Each message needs a role of user or assistant and string content';
+}
+
 // Chat with AI
 app.post('/api/chat', async (req, res) => {
-  if (!OPENROUTER_API_KEY) {
+  if (!llm.isConfigured()) {
     return res.json({ success: false, message: 'AI not configured' });
   }
 
+  const { messages, driveContext, stream } = req.body;
+  const invalid = invalidChatMessages(messages);
+  if (invalid) return res.status(400).json({ success: false, message: invalid });
+
   try {
-    const { messages, driveContext } = req.body;
+    const { context, sources } = await groundChat(req, messages);
     const systemMessage = {
       role: 'system',
-      content: `You are a Google Drive assistant. ${driveContext || ''}`
+      content: `You are a Google Drive assistant. ${driveContext || ''}${context}`
     };
 
-    const requestBody = JSON.stringify({
-      model: OPENROUTER_MODEL,
-      messages: [systemMessage, ...messages]
-    });
+    if (stream) {
+      return await streamChat(req, res, [systemMessage, ...messages], sources);
+    }
 
-    const aiReq = https.request({
-      hostname: 'openrouter.ai',
-      path: '/api/v1/chat/completions',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
-        'HTTP-Referer': BACKEND_URL
-      }
-    }, (aiRes) => {
-      let data = '';
-      aiRes.on('data', chunk => data += chunk);
-      aiRes.on('end', () => {
-        try {
-          const response = JSON.parse(data);
-          if (response.choices?.[0]) {
-            res.json({ success: true, message: response.choices[0].message.content });
-          } else {
-            res.json({ success: false, message: response.error?.message || 'AI error' });
-          }
-        } catch { res.json({ success: false, message: 'Parse error' }); }
-      });
+    const { content } = await llm.complete({ messages: [systemMessage, ...messages] });
+    res.json({ success: true, message: content, sources });
+  } catch (error) {
+    res.json({ success: false, message: error.message });
+  }
+});
+
+// Switch the response to Server-Sent Events. Events are written as
+//   data: {...}              for unnamed (delta) events
+//   event: <name>\ndata: {...} for named events such as done, action and error
+// The returned signal aborts when the client disconnects, so upstream work can be cancelled.
+function openEventStream(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      console.log('[SSE] Client disconnected, aborting upstream work');
+      controller.abort();
+    }
+  });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  const send = (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`${event ? `event: ${event}\n` : ''}data: ${JSON.stringify(data)}\n\n`);
+  };
+
+  return { signal: controller.signal, send };
+}
+
+// Relay token deltas as { delta } events, then a done event with the full message and its sources
+async function streamChat(req, res, messages, sources) {
+  const { signal, send } = openEventStream(res);
+  try {
+    const { content } = await llm.stream({
+      messages,
+      signal,
+      onDelta: (delta) => send(null, { delta })
     });
+    send('done', { message: content, sources });
+  } catch (error) {
+    if (!signal.aborted) send('error', { message: error.message });
+  } finally {
+    res.end();
+  }
+}
+
+// Chat agent that can act on the Drive through function-calling tools.
+// Returns { message, actions }; with stream: true the text arrives as SSE deltas,
+// each tool call as an action event, and the final result as a done event.
+app.post('/api/agent', async (req, res) => {
+  if (!llm.isConfigured()) {
+    return res.json({ success: false, message: 'AI not configured' });
+  }
+
+  let drive;
+  let driveReader;
+  let searchableIndex;
+  try {
+    drive = google.drive({ version: 'v3', auth: getAuthenticatedClient(req) });
+    oauth.requireFeature(accounts.getTokens(req.session, req.driveAccount), 'agent');
+    driveReader = await getDriveReader(req, drive);
+    searchableIndex = await accountFileIndex(req, drive);
+  } catch (error) {
+    return sendError(req, res, error);
+  }
+
+  const { messages, driveContext, stream, confirmActions, includeShared } = req.body;
+  const invalid = invalidChatMessages(messages);
+  if (invalid) return res.status(400).json({ success: false, message: invalid });
+  const agentOptions = {
+    llm,
+    drive,
+    driveReader,
+    session: accountSession(req),
+    propose: !!confirmActions,
+    includeShared: !!includeShared,
+    fileIndex: searchableIndex,
+    messages,
+    driveContext
+  };
+
+  if (!stream) {
+    try {
+      const result = await runDriveAgent(agentOptions);
+      return res.json({ success: true, ...result });
+    } catch (error) {
+      console.error('[Agent] Error:', error.message);
+      if (oauth.isAuthError(error)) return sendError(req, res, error);
+      return res.json({ success: false, message: error.message });
+    }
+  }
 
-    aiReq.on('error', (e) => res.json({ success: false, message: e.message }));
-    aiReq.write(requestBody);
-    aiReq.end();
+  const { signal, send } = openEventStream(res);
+  try {
+    const result = await runDriveAgent({
+      ...agentOptions,
+      signal,
+      onDelta: (delta) => send(null, { delta }),
+      onAction: (action) => send('action', action)
+    });
+    send('done', result);
   } catch (error) {
-    res.json({ success: false, message: error.message });
+    if (!signal.aborted) {
+      console.error('[Agent] Error:', error.message);
+      send('error', describeError(req, error).body);
+    }
+  } finally {
+    res.end();
   }
 });
 
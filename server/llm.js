@@ -0,0 +1,208 @@
+const http = require('http');
+const https = require('https');
+
+// Provider presets. Every real provider speaks the OpenAI chat completions protocol,
+// so they only differ in base URL, default model and whether an API key is required.
+const PROVIDERS = {
+  openrouter: { baseUrl: 'https://openrouter.ai/api/v1', model: 'x-ai/grok-4-fast', requiresKey: true },
+  openai: { baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o-mini', requiresKey: false },
+  ollama: { baseUrl: 'http://localhost:11434/v1', model: 'llama3.1', requiresKey: false },
+  mock: { baseUrl: '', model: 'mock', requiresKey: false }
+};
+
+// Build LLM config from environment variables. OPENROUTER_API_KEY is still honoured
+// so existing deployments keep working without any new variables.
+function loadLLMConfig(env, { referer } = {}) {
+  const provider = (env.LLM_PROVIDER || 'openrouter').toLowerCase();
+  const preset = PROVIDERS[provider];
+  if (!preset) {
+    throw new Error(`Unknown LLM_PROVIDER "${provider}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return {
+    provider,
+    baseUrl: (env.LLM_BASE_URL || preset.baseUrl).replace(/\/+$/, ''),
+    model: env.LLM_MODEL || preset.model,
+    apiKey: env.LLM_API_KEY || (provider === 'openrouter' ? env.OPENROUTER_API_KEY : undefined),
+    requiresKey: preset.requiresKey,
+    timeoutMs: parseInt(env.LLM_TIMEOUT_MS, 10) || 30000,
+    maxRetries: env.LLM_MAX_RETRIES !== undefined ? parseInt(env.LLM_MAX_RETRIES, 10) || 0 : 2,
+    mockResponse: env.LLM_MOCK_RESPONSE,
+    referer
+  };
+}
+
+function createLLMClient(config) {
+  const isConfigured = () => {
+    if (config.provider === 'mock') return true;
+    if (!config.baseUrl) return false;
+    return !config.requiresKey || !!config.apiKey;
+  };
+
+  // Deterministic stand-in for offline development and testing of the AI paths
+  const mockComplete = ({ messages }) => {
+    const lastUser = [...messages].reverse().find(m => m.role === 'user');
+    const content = config.mockResponse !== undefined
+      ? config.mockResponse
+      : `Mock reply to: "${lastUser?.content || ''}"`;
+    return { content, raw: { choices: [{ message: { role: 'assistant', content } }] } };
+  };
+
+  // Open a POST to the chat completions endpoint and resolve with the response stream.
+  // HTTP errors become rejections carrying a `retryable` flag.
+  const openRequest = (body, signal) => new Promise((resolve, reject) => {
+    const url = new URL(`${config.baseUrl}/chat/completions`);
+    const transport = url.protocol === 'http:' ? http : https;
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.apiKey) headers['Authorization'] = `Bearer ${config.apiKey}`;
+    if (config.referer) headers['HTTP-Referer'] = config.referer;
+
+    const req = transport.request(url, { method: 'POST', headers, signal }, (res) => {
+      if (res.statusCode < 400) return resolve(res);
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        let message;
+        try { message = JSON.parse(data).error?.message; } catch {}
+        const err = new Error(message || `${config.provider} returned HTTP ${res.statusCode}`);
+        err.status = res.statusCode;
+        err.retryable = res.statusCode === 429 || res.statusCode >= 500;
+        reject(err);
+      });
+    });
+
+    req.setTimeout(config.timeoutMs, () => {
+      const err = new Error(`${config.provider} request timed out after ${config.timeoutMs}ms`);
+      err.retryable = true;
+      req.destroy(err);
+    });
+    req.on('error', (e) => {
+      if (e.retryable === undefined) e.retryable = e.name !== 'AbortError';
+      reject(e);
+    });
+    req.write(JSON.stringify(body));
+    req.end();
+  });
+
+  const postJson = async (body) => {
+    const res = await openRequest(body);
+    return new Promise((resolve, reject) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('error', reject);
+      res.on('end', () => {
+        let parsed;
+        try { parsed = JSON.parse(data); } catch {
+          const err = new Error(`Invalid response from ${config.provider}`);
+          err.retryable = true;
+          return reject(err);
+        }
+        if (parsed.error) return reject(new Error(parsed.error.message || 'AI error'));
+        resolve(parsed);
+      });
+    });
+  };
+
+  // Read an OpenAI-style SSE stream ("data: {...}" lines, terminated by "data: [DONE]").
+  // Tool call fragments are merged by index into complete tool_calls.
+  const readStream = (res, onDelta) => new Promise((resolve, reject) => {
+    let buffer = '';
+    let content = '';
+    const toolCalls = [];
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      buffer += chunk;
+      let newline;
+      while ((newline = buffer.indexOf('\n')) >= 0) {
+        const line = buffer.slice(0, newline).trim();
+        buffer = buffer.slice(newline + 1);
+        if (!line.startsWith('data:')) continue;
+        const payload = line.slice(5).trim();
+        if (payload === '[DONE]') continue;
+        let parsed;
+        try { parsed = JSON.parse(payload); } catch { continue; }
+        if (parsed.error) {
+          res.destroy();
+          return reject(new Error(parsed.error.message || 'AI error'));
+        }
+        const delta = parsed.choices?.[0]?.delta || {};
+        if (delta.content) {
+          content += delta.content;
+          onDelta(delta.content);
+        }
+        (delta.tool_calls || []).forEach((part) => {
+          const index = part.index ?? toolCalls.length;
+          const call = toolCalls[index] || (toolCalls[index] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+          if (part.id) call.id = part.id;
+          if (part.function?.name) call.function.name += part.function.name;
+          if (part.function?.arguments) call.function.arguments += part.function.arguments;
+        });
+      }
+    });
+    res.on('error', reject);
+    res.on('end', () => {
+      const message = { role: 'assistant', content };
+      if (toolCalls.length > 0) message.tool_calls = toolCalls.filter(Boolean);
+      resolve({ content, message });
+    });
+  });
+
+  const withRetries = async (fn) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fn();
+      } catch (error) {
+        if (!error.retryable || attempt >= config.maxRetries) throw error;
+        const delay = 500 * 2 ** attempt;
+        console.warn(`[LLM] ${config.provider} request failed (${error.message}), retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  };
+
+  // Send a chat completion request, retrying on timeouts, network errors, 429 and 5xx
+  const complete = async ({ messages, temperature, ...extra }) => {
+    if (!isConfigured()) throw new Error('AI not configured');
+    if (config.provider === 'mock') return mockComplete({ messages });
+
+    const body = { model: config.model, messages, ...extra };
+    if (temperature !== undefined) body.temperature = temperature;
+
+    return withRetries(async () => {
+      const raw = await postJson(body);
+      const message = raw.choices?.[0]?.message;
+      if (!message) throw new Error('AI error');
+      return { content: message.content || '', message, raw };
+    });
+  };
+
+  // Stream a chat completion, calling onDelta with each content fragment as it arrives.
+  // Resolves with { content, message } like complete(); aborting `signal` cancels the upstream request.
+  // Only opening the connection is retried, a stream that fails midway is not replayed.
+  const stream = async ({ messages, temperature, signal, onDelta = () => {}, ...extra }) => {
+    if (!isConfigured()) throw new Error('AI not configured');
+    if (config.provider === 'mock') {
+      const { content, raw } = mockComplete({ messages });
+      for (const piece of content.match(/\S+\s*/g) || []) {
+        if (signal?.aborted) break;
+        onDelta(piece);
+      }
+      return { content, message: raw.choices[0].message };
+    }
+
+    const body = { model: config.model, messages, stream: true, ...extra };
+    if (temperature !== undefined) body.temperature = temperature;
+
+    const res = await withRetries(() => openRequest(body, signal));
+    return readStream(res, onDelta);
+  };
+
+  return {
+    provider: config.provider,
+    model: config.model,
+    isConfigured,
+    complete,
+    stream
+  };
+}
+
+module.exports = { PROVIDERS, loadLLMConfig, createLLMClient };
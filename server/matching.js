@@ -0,0 +1,134 @@
+const driveOps = require('./drive');
+
+// AI folder matching for uploaded files
+
+const MAX_FOLDER_NAME_LENGTH = 100;
+
+function getFileType(filename) {
+  const ext = '.' + filename.split('.').pop().toLowerCase();
+  const typeMap = {
+    '.jpg': 'Image', '.jpeg': 'Image', '.png': 'Image', '.gif': 'Image', '.webp': 'Image',
+    '.mp4': 'Video', '.avi': 'Video', '.mov': 'Video', '.mkv': 'Video',
+    '.mp3': 'Audio', '.wav': 'Audio', '.flac': 'Audio',
+    '.pdf': 'Document', '.doc': 'Document', '.docx': 'Document',
+    '.xls': 'Spreadsheet', '.xlsx': 'Spreadsheet',
+    '.ppt': 'Presentation', '.pptx': 'Presentation',
+    '.txt': 'Text', '.zip': 'Archive', '.rar': 'Archive',
+    '.js': 'Code', '.ts': 'Code', '.py': 'Code', '.html': 'Code', '.css': 'Code'
+  };
+  return typeMap[ext] || 'File';
+}
+
+// All folders as { id, name, path }, sorted by path.
+// Full paths keep folders that share a name (e.g. two "2024"s) distinguishable.
+// includeShared adds shared drives and folders shared with the user. driveReader lists
+// the folders: drive.js by default, or an account's cached reader (drive-cache.js).
+async function getFolderCandidates(drive, { includeShared = false, driveReader = driveOps } = {}) {
+  const allFolders = await driveReader.listAllFolders(drive, { includeShared });
+  const paths = driveOps.buildFolderPaths(allFolders);
+  return allFolders
+    .map(f => ({ id: f.id, name: f.name, path: paths.get(f.id) }))
+    .sort((a, b) => a.path.localeCompare(b.path));
+}
+
+function describeFile(hintText, fileName, fileMetadata) {
+  const fileInfo = [
+    fileName ? `File name: "${fileName}"` : '',
+    fileMetadata.extension ? `Extension: ${fileMetadata.extension}` : '',
+    fileMetadata.fileType ? `Type: ${fileMetadata.fileType}` : ''
+  ].filter(Boolean).join(', ');
+
+  const contentInfo = fileMetadata.contentExcerpt
+    ? `\nBeginning of the file's content:\n"""\n${fileMetadata.contentExcerpt}\n"""\n`
+    : '';
+
+  return `${fileInfo}${hintText ? `. Hint: "${hintText}"` : ''}.${contentInfo}`;
+}
+
+// Map the model's answer back to a folder: by ID first, then by full path, and by
+// bare name only when that name is unique (otherwise the answer is ambiguous).
+function resolveFolderAnswer(candidates, answer) {
+  const byId = candidates.find(f => f.id === answer || answer.startsWith(`${f.id}\t`));
+  if (byId) return byId;
+
+  const lower = answer.toLowerCase().replace(/^\/+|\/+$/g, '');
+  const byPath = candidates.find(f => f.path.toLowerCase() === lower);
+  if (byPath) return byPath;
+
+  const byName = candidates.filter(f => f.name.toLowerCase() === lower);
+  return byName.length === 1 ? byName[0] : null;
+}
+
+async function pickExistingFolder(llm, candidates, fileDescription) {
+  const folderList = candidates.map(f => `${f.id}\t${f.path}`).join('\n');
+  const { content } = await llm.complete({
+    messages: [
+      { role: 'system', content: `Match files to folders. Available folders, one per line as "ID<tab>full path":\n${folderList}\n\nUse the file's content, when given, to tell what the file is about even if its name is generic. Return ONLY the ID of the best folder, or "NONE".` },
+      { role: 'user', content: `${fileDescription} Which folder?` }
+    ],
+    temperature: 0.3
+  });
+
+  const answer = content.trim().replace(/^["'`]|["'`]$/g, '');
+  if (!answer || answer.toLowerCase() === 'none') return null;
+  return resolveFolderAnswer(candidates, answer);
+}
+
+// Ask the model for a new folder that fits the existing taxonomy. Resolves with
+// { isNew: true, name, parentId, parentPath, path }, an existing folder if the suggested
+// one already exists, or null.
+async function suggestNewFolder(llm, candidates, fileDescription) {
+  const folderList = candidates.map(f => `${f.id}\t${f.path}`).join('\n') || '(no folders yet)';
+  const { content } = await llm.complete({
+    messages: [
+      { role: 'system', content: `No existing folder fits this file. Existing folders, one per line as "ID<tab>full path":\n${folderList}\n\nPropose ONE new folder that follows the same naming style and hierarchy, placed under the most fitting existing folder (or "root" for the top level). Reply with ONLY JSON: {"parentId": "<existing folder ID or root>", "name": "<new folder name>"}, or "NONE" if the file should stay where it is.` },
+      { role: 'user', content: `${fileDescription} Which new folder?` }
+    ],
+    temperature: 0.3
+  });
+
+  const json = content.match(/\{[\s\S]*\}/);
+  if (!json) return null;
+  let suggestion;
+  try { suggestion = JSON.parse(json[0]); } catch { return null; }
+
+  const name = String(suggestion.name || '').replace(/[\/\\"]/g, ' ').replace(/\s+/g, ' ').trim().slice(0, MAX_FOLDER_NAME_LENGTH);
+  if (!name) return null;
+  const parent = suggestion.parentId && suggestion.parentId !== 'root'
+    ? candidates.find(f => f.id === suggestion.parentId)
+    : null;
+  const parentId = parent ? parent.id : 'root';
+  const path = parent ? `${parent.path}/${name}` : name;
+
+  const existing = candidates.find(f => f.path.toLowerCase() === path.toLowerCase());
+  if (existing) return existing;
+
+  return { isNew: true, name, parentId, parentPath: parent ? parent.path : '', path };
+}
+
+// Choose a destination folder for a file. Resolves with an existing folder
+// ({ id, name, path }), a new-folder suggestion when options.allowNewFolder is set
+// and nothing fits, or null. AI failures are logged and treated as "no match".
+// Pass options.candidates to reuse a folder list across many files; otherwise
+// options.includeShared decides whether shared folders are candidates and
+// options.driveReader where they are listed from.
+async function findMatchingFolder(llm, drive, hintText, fileName, fileMetadata, { allowNewFolder = false, candidates, includeShared = false, driveReader } = {}) {
+  if (!llm.isConfigured()) return null;
+
+  // Drive errors (an expired sign-in, missing scopes) reach the caller; only AI failures mean no match
+  if (!candidates) candidates = await getFolderCandidates(drive, { includeShared, driveReader });
+  if (candidates.length === 0 && !allowNewFolder) return null;
+
+  try {
+    const fileDescription = describeFile(hintText, fileName, fileMetadata);
+    const match = candidates.length > 0 ? await pickExistingFolder(llm, candidates, fileDescription) : null;
+    if (match || !allowNewFolder) return match;
+
+    return await suggestNewFolder(llm, candidates, fileDescription);
+  } catch (error) {
+    console.error('[LLM] Folder matching failed:', error.message);
+    return null;
+  }
+}
+
+module.exports = { getFileType, getFolderCandidates, resolveFolderAnswer, findMatchingFolder };
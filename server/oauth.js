@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const { httpError } = require('./errors');
+
+// Google OAuth consent. OAUTH_SCOPE_PROFILE decides how much Drive access to ask for:
+//   organize     (default) full Drive access: uploads, organizing existing files, the agent
+//   upload-only  drive.file only: the app sees just the files and folders it created, so
+//                uploads work but organizing existing files and the agent are disabled
+// Users can untick scopes on Google's consent screen, so features follow the scopes actually
+// granted (tokens.scope) rather than the profile that was requested.
+//
+// Each authorization request is tied to the browser session by a signed `state` (CSRF) and
+// uses PKCE, so an intercepted code cannot be redeemed without the session's verifier.
+
+const SCOPES = {
+  file: 'https://www.googleapis.com/auth/drive.file',
+  readonly: 'https://www.googleapis.com/auth/drive.readonly',
+  full: 'https://www.googleapis.com/auth/drive'
+};
+
+// drive.file is requested alongside full access so uploads keep working if the user declines it
+const SCOPE_PROFILES = {
+  organize: [SCOPES.file, SCOPES.full],
+  'upload-only': [SCOPES.file]
+};
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+const FEATURE_LABELS = {
+  upload: 'Uploading files',
+  organize: 'Organizing existing files',
+  agent: 'The Drive assistant',
+  index: 'Indexing file contents'
+};
+
+function getScopeProfile(env) {
+  const name = env.OAUTH_SCOPE_PROFILE || 'organize';
+  if (!SCOPE_PROFILES[name]) {
+    throw new Error(`Unknown OAUTH_SCOPE_PROFILE "${name}" (use ${Object.keys(SCOPE_PROFILES).join(' or ')})`);
+  }
+  return { name, scopes: SCOPE_PROFILES[name] };
+}
+
+// What the granted scopes allow. Tokens stored before scopes were recorded had full access.
+function grantedFeatures(tokens) {
+  const granted = tokens?.scope ? tokens.scope.split(' ') : [SCOPES.full];
+  const full = granted.includes(SCOPES.full);
+  return {
+    upload: full || granted.includes(SCOPES.file),
+    // Without a drive-wide scope, folder listings only contain folders the app created
+    allFolders: full || granted.includes(SCOPES.readonly),
+    organize: full,
+    agent: full,
+    // The file index reads existing files, which drive.file alone can't see
+    index: full || granted.includes(SCOPES.readonly)
+  };
+}
+
+function requireFeature(tokens, feature) {
+  if (grantedFeatures(tokens)[feature]) return;
+  const err = httpError(403, `${FEATURE_LABELS[feature]} needs more Google Drive access than was granted`);
+  err.code = 'SCOPE_INSUFFICIENT';
+  throw err;
+}
+
+function signState(secret, nonce, sessionId) {
+  const signature = crypto.createHmac('sha256', secret).update(`${nonce}.${sessionId}`).digest('base64url');
+  return `${nonce}.${signature}`;
+}
+
+// Build the consent URL. `pending` must be kept in the session until the callback.
+async function createAuthRequest(oauth2Client, { secret, sessionId, scopes, prompt, loginHint }) {
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  const { codeVerifier, codeChallenge } = await oauth2Client.generateCodeVerifierAsync();
+  const authUrl = oauth2Client.generateAuthUrl({
+    access_type: 'offline',
+    scope: scopes,
+    state: signState(secret, nonce, sessionId),
+    code_challenge_method: 'S256',
+    code_challenge: codeChallenge,
+    ...(prompt && { prompt }),
+    ...(loginHint && { login_hint: loginHint })
+  });
+  return { authUrl, pending: { nonce, codeVerifier, createdAt: Date.now() } };
+}
+
+// Check the callback's state against the pending request; resolves the PKCE verifier or null
+function verifyAuthState(pending, state, { secret, sessionId }) {
+  if (!pending || typeof state !== 'string' || Date.now() - pending.createdAt > STATE_TTL_MS) return null;
+  const expected = Buffer.from(signState(secret, pending.nonce, sessionId));
+  const received = Buffer.from(state);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received)
+    ? pending.codeVerifier
+    : null;
+}
+
+// Google answers invalid_grant when the refresh token was revoked or expired:
+// the stored tokens are useless and the user has to sign in again
+function isReauthError(error) {
+  return error?.response?.data?.error === 'invalid_grant' || /invalid_grant/.test(error?.message || '');
+}
+
+// Failures the user fixes by signing in (again) or granting more access, never by retrying:
+// they go back to the client as NOT_AUTHENTICATED / REAUTH_REQUIRED / SCOPE_INSUFFICIENT
+function isAuthError(error) {
+  return isReauthError(error) || error?.message === 'Not authenticated' || error?.code === 'SCOPE_INSUFFICIENT';
+}
+
+module.exports = { getScopeProfile, grantedFeatures, requireFeature, createAuthRequest, verifyAuthState, isReauthError, isAuthError };
@@ -0,0 +1,294 @@
+const crypto = require('crypto');
+const driveOps = require('./drive');
+const actions = require('./actions');
+const { getFileType, getFolderCandidates, findMatchingFolder } = require('./matching');
+const { extractDriveExcerpt } = require('./extract');
+const { httpError } = require('./errors');
+
+// Bulk "organize existing files" jobs. A job scans the loose files in a folder (My Drive
+// root by default), asks the folder matcher about each one and builds a plan the user
+// reviews. Applying the plan moves the approved files; every move and created folder is
+// kept as an action on the job, and the finished run becomes one organize_files action in
+// the account's journal (actions.js), so the whole run can be undone from either place.
+//
+// Jobs run in the background and live in memory, keyed by ID and owned by the session and
+// Google account that started them. Clients poll GET /api/organize/jobs/:id for progress.
+// The background work can't write the session, so the run is journaled by the next request
+// that reads the job (journalJob). A job only holds a Drive client while it scans or applies;
+// applying and undoing use the client of the request that asks for them.
+//
+// Job status: scanning -> planned -> applying -> applied -> undone (or cancelled / failed)
+// Item status: pending -> matched | unmatched | error, then applied | failed, then undone
+
+const MAX_FILES = parseInt(process.env.ORGANIZE_MAX_FILES, 10) || 500;
+const MATCH_CONCURRENCY = 3;
+const JOB_TTL_MS = 24 * 60 * 60 * 1000;
+
+const jobs = new Map();
+
+function pruneJobs() {
+  const cutoff = Date.now() - JOB_TTL_MS;
+  for (const [id, job] of jobs) {
+    if (Date.parse(job.createdAt) < cutoff) jobs.delete(id);
+  }
+}
+
+function getJob(id, sessionId) {
+  const job = jobs.get(id);
+  return job && job.sessionId === sessionId ? job : null;
+}
+
+// Client-facing view of a job (no drive client or internal bookkeeping)
+function serializeJob(job) {
+  const { drive, driveReader, sessionId, account, createdFolders, journalEntry, journaled, ...rest } = job;
+  return { ...rest, actionId: journalEntry?.id || null };
+}
+
+// Account stand-in for applyAction, which reads only its ID (to refresh that account's
+// Drive cache); the job's actions are journaled together once the run ends
+function jobAccount(job) {
+  return { id: job.accountId };
+}
+
+// Record a finished run in the account's journal, once; `session` is that account's part of
+// the session (accounts.getAccount)
+function journalJob(job, session) {
+  if (!job.journalEntry || job.journaled) return;
+  actions.journalAction(session, job.journalEntry);
+  job.journaled = true;
+}
+
+// The run as one journal entry: every applied folder creation and move, in order
+function buildJournalEntry(job, steps) {
+  if (steps.length === 0) return null;
+  const entry = actions.createAction({ type: 'organize_files', source: 'organize', folderName: job.folderName, steps });
+  entry.status = 'applied';
+  entry.appliedAt = new Date().toISOString();
+  return entry;
+}
+
+// With includeShared, files the user doesn't own (e.g. in a shared drive folder) are scanned too
+async function listLooseFiles(drive, folderId, { includeShared = false } = {}) {
+  const files = [];
+  let pageToken = null;
+  do {
+    const response = await drive.files.list({
+      q: `'${driveOps.escapeQueryValue(folderId)}' in parents and trashed=false${includeShared ? '' : " and 'me' in owners"} and mimeType != '${driveOps.FOLDER_MIME_TYPE}'`,
+      fields: 'nextPageToken, files(id, name, mimeType, size, parents, driveId, modifiedTime, webViewLink)',
+      orderBy: 'modifiedTime desc',
+      pageSize: Math.min(1000, MAX_FILES),
+      pageToken,
+      ...(includeShared && driveOps.ALL_DRIVES)
+    });
+    files.push(...(response.data.files || []));
+    pageToken = response.data.nextPageToken;
+  } while (pageToken && files.length < MAX_FILES);
+  return files.slice(0, MAX_FILES);
+}
+
+async function planItem(job, llm, candidates, item) {
+  const contentExcerpt = job.useContent ? await extractDriveExcerpt(job.drive, item) : '';
+  const match = await findMatchingFolder(llm, job.drive, null, item.name, {
+    extension: item.name.includes('.') ? item.name.split('.').pop() : '',
+    fileType: getFileType(item.name),
+    size: item.size,
+    contentExcerpt
+  }, { allowNewFolder: job.allowNewFolder, candidates });
+
+  if (!match || (!match.isNew && item.parents?.includes(match.id))) {
+    item.status = 'unmatched';
+    return;
+  }
+  item.status = 'matched';
+  item.approved = true;
+  item.suggestion = match.isNew
+    ? { isNew: true, name: match.name, parentId: match.parentId, path: match.path }
+    : { folderId: match.id, path: match.path };
+}
+
+async function runScan(job, llm) {
+  try {
+    const [files, candidates] = await Promise.all([
+      listLooseFiles(job.drive, job.folderId, { includeShared: job.includeShared }),
+      getFolderCandidates(job.drive, { includeShared: job.includeShared, driveReader: job.driveReader })
+    ]);
+    job.items = files.map(f => ({
+      id: f.id,
+      name: f.name,
+      mimeType: f.mimeType,
+      size: f.size,
+      parents: f.parents,
+      webViewLink: f.webViewLink,
+      status: 'pending',
+      approved: false
+    }));
+    job.total = job.items.length;
+
+    // A few files at a time: enough to keep the LLM busy without tripping rate limits
+    let next = 0;
+    const worker = async () => {
+      while (next < job.items.length && !job.cancelled) {
+        const item = job.items[next++];
+        try {
+          await planItem(job, llm, candidates, item);
+        } catch (error) {
+          item.status = 'error';
+          item.error = error.message;
+        }
+        job.processed++;
+      }
+    };
+    await Promise.all(Array.from({ length: MATCH_CONCURRENCY }, worker));
+
+    job.status = job.cancelled ? 'cancelled' : 'planned';
+  } catch (error) {
+    console.error('[Organize] Scan failed:', error.message);
+    job.status = 'failed';
+    job.error = error.message;
+  }
+  delete job.drive;
+  job.updatedAt = new Date().toISOString();
+}
+
+// `account` is the Google account's email and accountId its ID; only that account's requests
+// in the same session may apply or undo the job
+function startJob({ llm, drive, driveReader, sessionId, account, accountId, folderId = 'root', folderName, allowNewFolder = false, useContent = false, includeShared = false }) {
+  pruneJobs();
+  const job = {
+    id: crypto.randomUUID(),
+    sessionId,
+    account,
+    accountId,
+    drive,
+    driveReader,
+    folderId,
+    folderName: folderName || (folderId === 'root' ? 'My Drive' : folderId),
+    allowNewFolder,
+    useContent,
+    includeShared,
+    status: 'scanning',
+    total: 0,
+    processed: 0,
+    items: [],
+    createdFolders: [],
+    appliedAt: null,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+  jobs.set(job.id, job);
+  runScan(job, llm);
+  return job;
+}
+
+// Create suggested folders once per path, even when several files share the suggestion
+async function ensureFolder(job, suggestion, folderIdsByPath) {
+  const key = suggestion.path.toLowerCase();
+  if (!folderIdsByPath.has(key)) {
+    const action = actions.createAction({
+      type: 'create_folder',
+      source: 'organize',
+      name: suggestion.name,
+      parentId: suggestion.parentId
+    });
+    await actions.applyAction(job.drive, jobAccount(job), action);
+    job.createdFolders.push(action);
+    folderIdsByPath.set(key, action.createdId);
+  }
+  return folderIdsByPath.get(key);
+}
+
+// Applied folder creations and moves are added to `steps` in the order they happen
+async function runApply(job, selected, steps) {
+  const folderIdsByPath = new Map();
+  for (const item of selected) {
+    if (job.cancelled) break;
+    try {
+      const foldersBefore = job.createdFolders.length;
+      const folderId = item.suggestion.isNew
+        ? await ensureFolder(job, item.suggestion, folderIdsByPath)
+        : item.suggestion.folderId;
+      steps.push(...job.createdFolders.slice(foldersBefore));
+      item.action = actions.createAction({
+        type: 'move_file',
+        source: 'organize',
+        fileId: item.id,
+        fileName: item.name,
+        folderId,
+        folderName: item.suggestion.path
+      });
+      await actions.applyAction(job.drive, jobAccount(job), item.action);
+      steps.push(item.action);
+      item.status = 'applied';
+    } catch (error) {
+      item.status = 'failed';
+      item.error = error.message;
+    }
+    job.processed++;
+  }
+}
+
+// Apply the planned moves for the given item IDs (the user's approved selection), with the
+// Drive client of the request that approved them
+function applyJob(job, itemIds, drive) {
+  if (job.status !== 'planned') throw httpError(409, `Job is ${job.status}, not planned`);
+  const wanted = new Set(itemIds);
+  job.items.forEach(item => { item.approved = item.status === 'matched' && wanted.has(item.id); });
+  const selected = job.items.filter(item => item.approved);
+
+  job.status = 'applying';
+  job.drive = drive;
+  job.cancelled = false;
+  job.processed = 0;
+  job.total = selected.length;
+  const steps = [];
+  // The journal entry is ready before the final status shows, so the poll that sees it journals it
+  const finish = (status) => {
+    job.journalEntry = buildJournalEntry(job, steps);
+    delete job.drive;
+    job.appliedAt = job.updatedAt = new Date().toISOString();
+    job.status = status;
+  };
+  runApply(job, selected, steps).then(
+    () => finish(job.cancelled ? 'cancelled' : 'applied'),
+    (error) => {
+      job.error = error.message;
+      finish('failed');
+    }
+  );
+}
+
+// Revert the run (newest first, so created folders are empty when they are trashed), with the
+// Drive client of the request and `session`, the account's part of the session. Goes through
+// the run's journal entry, which also knows about an undo already made from the journal.
+// Only once applying has finished, whether it completed, was cancelled or failed part way.
+// Resolves with the changes that could not be undone.
+async function undoJob(job, drive, session) {
+  if (!job.appliedAt || job.status === 'undone') {
+    throw httpError(409, `Only applied jobs can be undone (this one is ${job.status})`);
+  }
+  let errors = [];
+  if (job.journalEntry) {
+    journalJob(job, session);
+    const entry = actions.findAction(session, job.journalEntry.id) || job.journalEntry;
+    if (entry.status === 'applied') {
+      try {
+        await actions.undoAction(drive, session, entry);
+      } catch (error) {
+        if (!error.failures) throw error;
+        errors = error.failures;
+      }
+    }
+    const undone = new Set(entry.steps.filter(step => step.status === 'undone').map(step => step.id));
+    job.items.forEach(item => { if (item.status === 'applied' && undone.has(item.action.id)) item.status = 'undone'; });
+  }
+  if (errors.length === 0) job.status = 'undone';
+  job.updatedAt = new Date().toISOString();
+  return errors;
+}
+
+function cancelJob(job) {
+  if (job.status !== 'scanning' && job.status !== 'applying') throw httpError(409, `Job is already ${job.status}`);
+  job.cancelled = true;
+}
+
+module.exports = { startJob, getJob, serializeJob, journalJob, applyJob, undoJob, cancelJob };
@@ -0,0 +1,201 @@
+const driveOps = require('./drive');
+const { getFileType } = require('./matching');
+const { httpError } = require('./errors');
+
+// AI renaming of uploads and existing files. A name template mixes fixed text with:
+//   {date}      when a photo was taken, else the date the content carries (per the AI),
+//               else when the file was added to Drive (YYYY-MM-DD)
+//   {topic}     a few hyphenated words from the AI saying what the file is ("electricity-bill")
+//   {type}      the kind of file, from getFileType ("image", "document")
+//   {original}  the current name without its extension
+//   {counter}   01, 02, ...: the first number that keeps the name unique in its folder
+//   {ext}       the current extension, lowercased (".{ext}" disappears when there is none)
+// Only {topic} and the content date come from the AI; the rest is read from the file.
+
+const DEFAULT_TEMPLATE = process.env.RENAME_TEMPLATE || '{date}_{topic}_{counter}.{ext}';
+// Every rename is journaled, and the journal keeps 50 entries
+const MAX_FILES = Math.min(parseInt(process.env.RENAME_MAX_FILES, 10) || 50, 50);
+const PLACEHOLDERS = ['date', 'topic', 'type', 'original', 'counter', 'ext'];
+const MAX_TEMPLATE_LENGTH = 100;
+const MAX_NAME_LENGTH = 120;
+const MAX_TOPIC_WORDS = 5;
+const MAX_COUNTER = 999;
+const NAME_CONCURRENCY = 3;
+const RENAME_FIELDS = 'id, name, mimeType, size, parents, createdTime, imageMediaMetadata(time), webViewLink';
+
+// The template to use (the default when empty). Throws a 400 for unknown placeholders.
+function parseTemplate(template) {
+  const value = String(template || '').trim() || DEFAULT_TEMPLATE;
+  if (value.length > MAX_TEMPLATE_LENGTH) throw httpError(400, `The name template can be at most ${MAX_TEMPLATE_LENGTH} characters`);
+  if (/[\/\\]/.test(value)) throw httpError(400, 'The name template can\'t contain / or \\');
+  const unknown = [...value.matchAll(/\{([^}]*)\}/g)].map(m => m[1]).find(name => !PLACEHOLDERS.includes(name));
+  if (unknown !== undefined) {
+    throw httpError(400, `Unknown placeholder {${unknown}} in the name template; use ${PLACEHOLDERS.map(p => `{${p}}`).join(', ')}`);
+  }
+  return value;
+}
+
+function splitExtension(name) {
+  const match = /^(.+)\.([A-Za-z0-9]{1,8})$/.exec(name);
+  return match ? { base: match[1], ext: match[2].toLowerCase() } : { base: name, ext: '' };
+}
+
+function slugify(text) {
+  return String(text).toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .slice(0, MAX_TOPIC_WORDS)
+    .join('-');
+}
+
+function fileDate(file, contentDate) {
+  // Photos: "2024:07:14 12:00:00" from the camera
+  const taken = /^(\d{4}):(\d{2}):(\d{2})/.exec(file.imageMediaMetadata?.time || '');
+  if (taken) return `${taken[1]}-${taken[2]}-${taken[3]}`;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(contentDate || '') && !isNaN(Date.parse(contentDate))) return contentDate;
+  return (file.createdTime || new Date().toISOString()).slice(0, 10);
+}
+
+// Ask the model what the file is. Resolves with { topic, date } (date may be null), or null.
+async function describeForName(llm, { fileName, fileType, hintText, contentExcerpt }) {
+  const details = [`File name: "${fileName}"`, `Type: ${fileType}`, hintText ? `Hint: "${hintText}"` : ''].filter(Boolean).join('. ');
+  const contentInfo = contentExcerpt ? `\nBeginning of the file's content:\n"""\n${contentExcerpt}\n"""\n` : '';
+  const { content } = await llm.complete({
+    messages: [
+      { role: 'system', content: `Give files descriptive names. Reply with ONLY JSON: {"topic": "<2 to ${MAX_TOPIC_WORDS} words saying what the file is, e.g. electricity bill march>", "date": "<YYYY-MM-DD the content is dated, or null>"}. Use the content and hint when given; generic names such as "IMG_4932" or "Document (3)" say nothing about the file.` },
+      { role: 'user', content: `${details}.${contentInfo}` }
+    ],
+    temperature: 0.3
+  });
+
+  const json = content.match(/\{[\s\S]*\}/);
+  if (!json) return null;
+  let answer;
+  try { answer = JSON.parse(json[0]); } catch { return null; }
+  const topic = slugify(answer.topic || '');
+  return topic ? { topic, date: typeof answer.date === 'string' ? answer.date : null } : null;
+}
+
+// Fill in the template; null when nothing usable is left
+function renderName(template, values, counter) {
+  const name = template
+    .replace(/\.\{ext\}/g, values.ext ? '.{ext}' : '')
+    .replace(/\{(\w+)\}/g, (_, key) => (key === 'counter' ? String(counter).padStart(2, '0') : values[key] || ''))
+    // Empty placeholders leave doubled or dangling separators behind
+    .replace(/([_\- ])[_\- ]+/g, '$1')
+    .replace(/[_\- ]+(?=\.[^.]*$)/, '')
+    .replace(/^[_\-. ]+|[_\- ]+$/g, '');
+  if (!name || name.startsWith('.')) return null;
+  if (name.length <= MAX_NAME_LENGTH) return name;
+  const { base, ext } = splitExtension(name);
+  return `${base.slice(0, MAX_NAME_LENGTH - ext.length - 1)}${ext ? `.${ext}` : ''}`;
+}
+
+// Lowercased names of what is in folderId, for picking counters. A null folderId (a folder
+// that is only proposed) is empty.
+async function listFolderNames(drive, folderId) {
+  const names = new Set();
+  if (!folderId) return names;
+  let pageToken = null;
+  do {
+    const response = await drive.files.list({
+      q: `'${driveOps.escapeQueryValue(folderId)}' in parents and trashed=false`,
+      fields: 'nextPageToken, files(name)',
+      pageSize: 1000,
+      pageToken,
+      ...driveOps.ALL_DRIVES
+    });
+    (response.data.files || []).forEach(file => names.add(file.name.toLowerCase()));
+    pageToken = response.data.nextPageToken;
+  } while (pageToken);
+  return names;
+}
+
+// Propose a name for `file` (with RENAME_FIELDS) following `template`. `taken` holds the
+// lowercased names in its destination folder (listFolderNames) and gets the new name added.
+// Resolves with the new name, or null when the AI can't tell what the file is.
+async function proposeName(llm, file, { template, hintText, contentExcerpt, taken }) {
+  const { base, ext } = splitExtension(file.name);
+  const fileType = getFileType(file.name);
+  let described = null;
+  if (template.includes('{topic}') || template.includes('{date}')) {
+    described = llm.isConfigured() ? await describeForName(llm, { fileName: file.name, fileType, hintText, contentExcerpt }) : null;
+    if (!described && template.includes('{topic}')) return null;
+  }
+
+  const values = {
+    date: fileDate(file, described?.date),
+    topic: described?.topic,
+    type: fileType.toLowerCase(),
+    original: base,
+    ext
+  };
+  // The file's own name is free for it to keep
+  taken.delete(file.name.toLowerCase());
+  const hasCounter = template.includes('{counter}');
+  for (let counter = 1; counter <= MAX_COUNTER; counter++) {
+    const name = renderName(template, values, counter);
+    if (!name) break;
+    if (!hasCounter || !taken.has(name.toLowerCase())) {
+      taken.add(name.toLowerCase());
+      return name;
+    }
+  }
+  taken.add(file.name.toLowerCase());
+  return null;
+}
+
+// Files directly in folderId that the user may rename, most recently modified first, up to
+// MAX_FILES. Resolves with { files, truncated }.
+async function listRenamableFiles(drive, folderId) {
+  const response = await drive.files.list({
+    q: `'${driveOps.escapeQueryValue(folderId)}' in parents and trashed=false and mimeType != '${driveOps.FOLDER_MIME_TYPE}'`,
+    fields: `nextPageToken, files(${RENAME_FIELDS}, capabilities(canRename))`,
+    orderBy: 'modifiedTime desc',
+    pageSize: MAX_FILES,
+    ...driveOps.ALL_DRIVES
+  });
+  const files = (response.data.files || []).filter(file => file.capabilities?.canRename !== false);
+  return { files, truncated: !!response.data.nextPageToken };
+}
+
+// Names for the files in folderId, for the bulk rename preview. readContent(file) resolves
+// with a content excerpt ('' to skip). Resolves with
+//   { proposals: [{ fileId, originalName, newName, webViewLink }], unchanged, failed, truncated }
+// where unchanged counts files whose name would stay the same or that the AI couldn't name.
+async function proposeRenames(llm, drive, folderId, { template, hintText, readContent }) {
+  const [{ files, truncated }, taken] = await Promise.all([listRenamableFiles(drive, folderId), listFolderNames(drive, folderId)]);
+
+  const names = new Map();
+  const failed = [];
+  // A few files at a time, like organize scans
+  let next = 0;
+  const worker = async () => {
+    while (next < files.length) {
+      const file = files[next++];
+      try {
+        const contentExcerpt = await readContent(file);
+        names.set(file.id, await proposeName(llm, file, { template, hintText, contentExcerpt, taken }));
+      } catch (error) {
+        failed.push({ fileId: file.id, name: file.name, message: error.message });
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: NAME_CONCURRENCY }, worker));
+
+  const proposals = files
+    .filter(file => names.get(file.id) && names.get(file.id) !== file.name)
+    .map(file => ({ fileId: file.id, originalName: file.name, newName: names.get(file.id), webViewLink: file.webViewLink }));
+  return { proposals, unchanged: files.length - proposals.length - failed.length, failed, truncated };
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  MAX_FILES,
+  RENAME_FIELDS,
+  parseTemplate,
+  renderName,
+  listFolderNames,
+  proposeName,
+  proposeRenames
+};
@@ -0,0 +1,75 @@
+const driveOps = require('./drive');
+const { httpError } = require('./errors');
+
+// Version history of binary files (PDFs, images, Office files...). Google Docs, Sheets and
+// Slides keep their own history that can't be downloaded as file content, so they are
+// listed but not restored here. Drive prunes old versions unless they are kept forever.
+
+const REVISION_FIELDS = 'id, mimeType, modifiedTime, size, md5Checksum, originalFilename, keepForever, lastModifyingUser(displayName, emailAddress)';
+const FILE_FIELDS = 'id, name, mimeType, size, md5Checksum, headRevisionId, modifiedTime, webViewLink, parents';
+
+function isGoogleFile(file) {
+  return file.mimeType.startsWith('application/vnd.google-apps.');
+}
+
+// A file's versions, newest first. Resolves with { file, revisions, restorable };
+// the current version is flagged with `current`.
+async function listRevisions(drive, fileId) {
+  const file = (await drive.files.get({ fileId, fields: FILE_FIELDS, supportsAllDrives: true })).data;
+  if (file.mimeType === driveOps.FOLDER_MIME_TYPE) throw httpError(400, 'Folders have no versions');
+
+  const revisions = [];
+  let pageToken = null;
+  do {
+    const response = await drive.revisions.list({
+      fileId,
+      fields: `nextPageToken, revisions(${REVISION_FIELDS})`,
+      pageSize: 200,
+      pageToken
+    });
+    revisions.push(...(response.data.revisions || []));
+    pageToken = response.data.nextPageToken;
+  } while (pageToken);
+
+  // Google files have no headRevisionId; their last revision is the current one
+  const currentId = file.headRevisionId || revisions[revisions.length - 1]?.id;
+  return {
+    file,
+    revisions: revisions.reverse().map(revision => ({ ...revision, current: revision.id === currentId })),
+    restorable: !isGoogleFile(file)
+  };
+}
+
+// Make an earlier version current again by uploading its content as a new version, so the
+// versions in between are kept. Resolves with { file, previousRevisionId }.
+async function restoreRevision(drive, fileId, revisionId) {
+  const file = (await drive.files.get({ fileId, fields: FILE_FIELDS, supportsAllDrives: true })).data;
+  if (isGoogleFile(file)) {
+    throw httpError(400, `"${file.name}" is a Google ${file.mimeType.split('.').pop()} file; restore its versions in Google Drive`);
+  }
+  if (file.headRevisionId === revisionId) throw httpError(409, 'That version is already the current one');
+
+  const content = await drive.revisions.get({ fileId, revisionId, alt: 'media' }, { responseType: 'stream' });
+  const response = await drive.files.update({
+    fileId,
+    media: { mimeType: file.mimeType, body: content.data },
+    fields: FILE_FIELDS,
+    supportsAllDrives: true
+  });
+  return { file: response.data, previousRevisionId: file.headRevisionId };
+}
+
+// A file called `name` in folderId (other than excludeId) that can take a new version,
+// or null. Google Docs/Sheets/Slides are left out: uploaded content can't replace them.
+async function findSameNamedFile(drive, folderId, name, excludeId) {
+  const response = await drive.files.list({
+    q: `name = '${driveOps.escapeQueryValue(name)}' and '${driveOps.escapeQueryValue(folderId)}' in parents and trashed=false and not mimeType contains 'application/vnd.google-apps.'`,
+    fields: 'files(id, name, mimeType, headRevisionId, modifiedTime)',
+    orderBy: 'modifiedTime desc',
+    pageSize: 10,
+    ...driveOps.ALL_DRIVES
+  });
+  return (response.data.files || []).find(file => file.id !== excludeId) || null;
+}
+
+module.exports = { listRevisions, restoreRevision, findSameNamedFile };
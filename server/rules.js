@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const { getFileType } = require('./matching');
+const { dataPath } = require('./data-dir');
+const { httpError } = require('./errors');
+
+// User-defined routing rules, evaluated before AI folder matching so predictable
+// uploads ("*.xlsx with invoice in the name -> Finance/Invoices") skip the LLM.
+//
+// Rules are stored per Google account in RULES_FILE (default: DATA_DIR/rules.json):
+//   { [accountId]: [{ id, name, enabled, conditions, folderId, folderPath, createdAt, updatedAt }] }
+// Every condition that is set must match; the first enabled matching rule wins.
+//   nameGlob      "*invoice*.xlsx" (* and ? wildcards, case-insensitive, whole name)
+//   nameRegex     "^scan_\d+" (case-insensitive)
+//   extensions    ["xlsx", "csv"]
+//   fileType      category from getFileType, e.g. "Spreadsheet"
+//   minSize/maxSize  bytes
+//   hintKeywords  ["invoice", "receipt"] (any of them, in the upload hint)
+//   mimeType      "application/pdf" or "image/*"
+
+const RULES_FILE = process.env.RULES_FILE || dataPath('rules.json');
+const MAX_RULES_PER_USER = 100;
+const MAX_PATTERN_LENGTH = 200;
+
+let store = null;
+
+function loadStore() {
+  if (store) return store;
+  try {
+    store = fs.existsSync(RULES_FILE) ? JSON.parse(fs.readFileSync(RULES_FILE, 'utf8')) : {};
+  } catch (error) {
+    console.error('[Rules] Error reading rules file:', error);
+    store = {};
+  }
+  return store;
+}
+
+function saveStore() {
+  fs.mkdirSync(path.dirname(RULES_FILE), { recursive: true });
+  fs.writeFileSync(RULES_FILE, JSON.stringify(store, null, 2), 'utf8');
+}
+
+function globToRegExp(glob) {
+  const source = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+function toList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return list.map(v => String(v).trim().toLowerCase()).filter(Boolean);
+}
+
+// Validate and normalize the conditions sent by the client
+function normalizeConditions(input = {}) {
+  const conditions = {};
+  const text = (key) => {
+    const value = String(input[key] || '').trim();
+    if (value.length > MAX_PATTERN_LENGTH) throw httpError(400, `${key} is too long`);
+    if (value) conditions[key] = value;
+  };
+
+  text('nameGlob');
+  text('nameRegex');
+  text('fileType');
+  text('mimeType');
+  if (conditions.nameRegex) {
+    try { new RegExp(conditions.nameRegex, 'i'); } catch (error) { throw httpError(400, error.message); }
+  }
+
+  const extensions = toList(input.extensions).map(ext => ext.replace(/^\./, ''));
+  if (extensions.length) conditions.extensions = extensions;
+  const hintKeywords = toList(input.hintKeywords);
+  if (hintKeywords.length) conditions.hintKeywords = hintKeywords;
+
+  for (const key of ['minSize', 'maxSize']) {
+    if (input[key] === undefined || input[key] === null || input[key] === '') continue;
+    const size = Number(input[key]);
+    if (!Number.isFinite(size) || size < 0) throw httpError(400, `${key} must be a number of bytes`);
+    conditions[key] = size;
+  }
+
+  if (Object.keys(conditions).length === 0) throw httpError(400, 'A rule needs at least one condition');
+  return conditions;
+}
+
+function ruleMatches(rule, { fileName = '', mimeType = '', size = 0, hintText = '' }) {
+  const c = rule.conditions;
+  const ext = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+
+  if (c.nameGlob && !globToRegExp(c.nameGlob).test(fileName)) return false;
+  if (c.nameRegex && !new RegExp(c.nameRegex, 'i').test(fileName)) return false;
+  if (c.extensions && !c.extensions.includes(ext)) return false;
+  if (c.fileType && getFileType(fileName).toLowerCase() !== c.fileType.toLowerCase()) return false;
+  if (c.minSize !== undefined && size < c.minSize) return false;
+  if (c.maxSize !== undefined && size > c.maxSize) return false;
+  if (c.hintKeywords) {
+    const hint = (hintText || '').toLowerCase();
+    if (!c.hintKeywords.some(keyword => hint.includes(keyword))) return false;
+  }
+  if (c.mimeType) {
+    const wanted = c.mimeType.toLowerCase();
+    const actual = (mimeType || '').toLowerCase();
+    const ok = wanted.endsWith('/*') ? actual.startsWith(wanted.slice(0, -1)) : actual === wanted;
+    if (!ok) return false;
+  }
+  return true;
+}
+
+function listRules(accountId) {
+  return loadStore()[accountId] || [];
+}
+
+function findRule(accountId, id) {
+  return listRules(accountId).find(r => r.id === id) || null;
+}
+
+// First enabled rule matching the upload, or null
+function evaluateRules(accountId, file) {
+  return listRules(accountId).find(rule => rule.enabled && ruleMatches(rule, file)) || null;
+}
+
+function createRule(accountId, { name, enabled = true, conditions, folderId, folderPath }) {
+  if (!folderId) throw httpError(400, 'A destination folder is required');
+  const rules = listRules(accountId);
+  if (rules.length >= MAX_RULES_PER_USER) throw httpError(400, `At most ${MAX_RULES_PER_USER} rules are allowed`);
+
+  const now = new Date().toISOString();
+  const rule = {
+    id: crypto.randomUUID(),
+    name: String(name || '').trim() || `Rule ${rules.length + 1}`,
+    enabled: !!enabled,
+    conditions: normalizeConditions(conditions),
+    folderId,
+    folderPath: folderPath || folderId,
+    createdAt: now,
+    updatedAt: now
+  };
+  store[accountId] = [...rules, rule];
+  saveStore();
+  return rule;
+}
+
+function updateRule(accountId, id, changes) {
+  const rule = findRule(accountId, id);
+  if (!rule) return null;
+  if (changes.conditions !== undefined) rule.conditions = normalizeConditions(changes.conditions);
+  if (changes.name !== undefined) rule.name = String(changes.name).trim() || rule.name;
+  if (changes.enabled !== undefined) rule.enabled = !!changes.enabled;
+  if (changes.folderId) {
+    rule.folderId = changes.folderId;
+    rule.folderPath = changes.folderPath || changes.folderId;
+  }
+  rule.updatedAt = new Date().toISOString();
+  saveStore();
+  return rule;
+}
+
+function deleteRule(accountId, id) {
+  const rules = listRules(accountId);
+  const remaining = rules.filter(r => r.id !== id);
+  if (remaining.length === rules.length) return false;
+  store[accountId] = remaining;
+  saveStore();
+  return true;
+}
+
+module.exports = { listRules, findRule, evaluateRules, createRule, updateRule, deleteRule };
@@ -0,0 +1,273 @@
+const driveOps = require('./drive');
+const { getFolderCandidates, resolveFolderAnswer } = require('./matching');
+const { httpError } = require('./errors');
+
+// Structured Drive search for GET /api/files/search and the chat agent. Filters are
+// validated and every value is escaped, so neither a user nor the model can inject
+// Drive query clauses:
+//   name            text the name contains
+//   fullText        text the name, description or content contains (results come by relevance)
+//   type            category from TYPE_CATEGORIES, e.g. "spreadsheet"
+//   mimeType        exact MIME type
+//   folderId        items directly in this folder; includeDescendants adds its subfolders
+//   modifiedAfter / modifiedBefore / createdAfter   ISO 8601 dates
+//   owner           owner's email address, or "me"
+//   starred         true or false
+//   sort            name, modified (default) or created
+// Results come in pages of pageSize; pass the returned nextPageToken as pageToken for more.
+//
+// interpretSearch turns a natural-language request into the same filters with the LLM.
+// The model only proposes values: each one is validated like a typed filter, and the
+// folder it names is looked up among the user's folders by path or name.
+
+const GOOGLE_APPS = 'application/vnd.google-apps';
+
+// Arrays are exact MIME types, strings are MIME prefixes
+const TYPE_CATEGORIES = {
+  folder: [driveOps.FOLDER_MIME_TYPE],
+  document: [
+    `${GOOGLE_APPS}.document`,
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/rtf',
+    'text/plain'
+  ],
+  spreadsheet: [
+    `${GOOGLE_APPS}.spreadsheet`,
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'text/csv'
+  ],
+  presentation: [
+    `${GOOGLE_APPS}.presentation`,
+    'application/vnd.ms-powerpoint',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+  ],
+  pdf: ['application/pdf'],
+  image: 'image/',
+  video: 'video/',
+  audio: 'audio/',
+  archive: [
+    'application/zip',
+    'application/x-zip-compressed',
+    'application/x-7z-compressed',
+    'application/vnd.rar',
+    'application/x-rar-compressed',
+    'application/x-tar',
+    'application/gzip'
+  ]
+};
+
+const SORT_ORDERS = { name: 'name', modified: 'modifiedTime desc', created: 'createdTime desc' };
+
+const MAX_TEXT_LENGTH = 200;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+// Each folder adds an "in parents" clause; Drive rejects queries that grow too long
+const MAX_SCOPE_FOLDERS = 100;
+
+const FILE_FIELDS = 'id, name, mimeType, parents, driveId, size, createdTime, modifiedTime, webViewLink, starred, owners(emailAddress, displayName)';
+
+// Query strings carry booleans as text
+function toBoolean(key, value) {
+  if (value === undefined || value === '' || value === null) return undefined;
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  throw httpError(400, `${key} must be true or false`);
+}
+
+// Validate and normalize the filters sent by the client or the agent
+function normalizeFilters(input = {}) {
+  const filters = {};
+  const text = (key) => {
+    const value = input[key] === undefined || input[key] === null ? '' : String(input[key]).trim();
+    if (value.length > MAX_TEXT_LENGTH) throw httpError(400, `${key} is longer than ${MAX_TEXT_LENGTH} characters`);
+    if (value) filters[key] = value;
+  };
+  ['name', 'fullText', 'mimeType', 'folderId', 'owner', 'pageToken'].forEach(text);
+
+  if (input.type) {
+    const type = String(input.type).toLowerCase();
+    if (!TYPE_CATEGORIES[type]) {
+      throw httpError(400, `Unknown type "${input.type}" (use ${Object.keys(TYPE_CATEGORIES).join(', ')})`);
+    }
+    filters.type = type;
+  }
+
+  ['modifiedAfter', 'modifiedBefore', 'createdAfter'].forEach(key => {
+    if (!input[key]) return;
+    const time = Date.parse(input[key]);
+    if (Number.isNaN(time)) throw httpError(400, `${key} must be an ISO 8601 date`);
+    filters[key] = new Date(time).toISOString();
+  });
+
+  if (filters.owner && filters.owner !== 'me' && !/^[^\s@]+@[^\s@]+$/.test(filters.owner)) {
+    throw httpError(400, 'owner must be an email address or "me"');
+  }
+
+  const starred = toBoolean('starred', input.starred);
+  if (starred !== undefined) filters.starred = starred;
+  filters.includeDescendants = !!toBoolean('includeDescendants', input.includeDescendants);
+
+  if (input.sort && !SORT_ORDERS[input.sort]) {
+    throw httpError(400, `Unknown sort "${input.sort}" (use ${Object.keys(SORT_ORDERS).join(', ')})`);
+  }
+  filters.sort = input.sort || 'modified';
+
+  const pageSize = input.pageSize === undefined || input.pageSize === '' ? DEFAULT_PAGE_SIZE : Number(input.pageSize);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw httpError(400, `pageSize must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  filters.pageSize = pageSize;
+  return filters;
+}
+
+function quote(value) {
+  return `'${driveOps.escapeQueryValue(value)}'`;
+}
+
+function anyOf(clauses) {
+  return clauses.length === 1 ? clauses[0] : `(${clauses.join(' or ')})`;
+}
+
+// Drive query for normalized filters. folderIds is the folder scope (the folder and,
+// when requested, its subfolders); an empty list searches everywhere.
+function buildSearchQuery(filters, folderIds = []) {
+  const clauses = ['trashed=false'];
+  if (filters.name) clauses.push(`name contains ${quote(filters.name)}`);
+  if (filters.fullText) clauses.push(`fullText contains ${quote(filters.fullText)}`);
+  if (filters.type) {
+    const category = TYPE_CATEGORIES[filters.type];
+    clauses.push(Array.isArray(category)
+      ? anyOf(category.map(mimeType => `mimeType = ${quote(mimeType)}`))
+      : `mimeType contains ${quote(category)}`);
+  }
+  if (filters.mimeType) clauses.push(`mimeType = ${quote(filters.mimeType)}`);
+  if (folderIds.length) clauses.push(anyOf(folderIds.map(id => `${quote(id)} in parents`)));
+  if (filters.modifiedAfter) clauses.push(`modifiedTime > ${quote(filters.modifiedAfter)}`);
+  if (filters.modifiedBefore) clauses.push(`modifiedTime < ${quote(filters.modifiedBefore)}`);
+  if (filters.createdAfter) clauses.push(`createdTime > ${quote(filters.createdAfter)}`);
+  if (filters.owner) clauses.push(`${quote(filters.owner)} in owners`);
+  if (filters.starred !== undefined) clauses.push(`starred = ${filters.starred}`);
+  return clauses.join(' and ');
+}
+
+// The folder and its subfolders, nearest first, capped at MAX_SCOPE_FOLDERS.
+// Resolves with { folderIds, truncated }.
+async function resolveFolderScope(drive, folderId, driveReader) {
+  const allFolders = await driveReader.listAllFolders(drive, { includeShared: true });
+  const children = new Map();
+  allFolders.forEach(folder => {
+    const parentId = folder.parents?.[0];
+    if (!children.has(parentId)) children.set(parentId, []);
+    children.get(parentId).push(folder.id);
+  });
+
+  // 'root' is an alias; folders name their parent by its real ID
+  const startId = folderId === 'root' ? (await drive.files.get({ fileId: 'root', fields: 'id' })).data.id : folderId;
+  const folderIds = [startId];
+  const seen = new Set(folderIds);
+  for (let i = 0; i < folderIds.length && folderIds.length <= MAX_SCOPE_FOLDERS; i++) {
+    for (const childId of children.get(folderIds[i]) || []) {
+      if (seen.has(childId)) continue;
+      seen.add(childId);
+      folderIds.push(childId);
+    }
+  }
+  return { folderIds: folderIds.slice(0, MAX_SCOPE_FOLDERS), truncated: folderIds.length > MAX_SCOPE_FOLDERS };
+}
+
+// Resolves with { files, nextPageToken, scopeTruncated }. scopeTruncated means the folder
+// had more subfolders than one query can name, so the deepest ones were left out.
+// driveReader lists the folders for includeDescendants (see getFolderCandidates).
+async function searchFiles(drive, input, { driveReader = driveOps } = {}) {
+  const filters = normalizeFilters(input);
+  let scope = { folderIds: [], truncated: false };
+  if (filters.folderId) {
+    scope = filters.includeDescendants
+      ? await resolveFolderScope(drive, filters.folderId, driveReader)
+      : { folderIds: [filters.folderId], truncated: false };
+  }
+
+  const response = await drive.files.list({
+    q: buildSearchQuery(filters, scope.folderIds),
+    fields: `nextPageToken, files(${FILE_FIELDS})`,
+    // Drive can't sort full-text results; they come back by relevance
+    ...(!filters.fullText && { orderBy: SORT_ORDERS[filters.sort] }),
+    pageSize: filters.pageSize,
+    pageToken: filters.pageToken,
+    ...driveOps.ALL_DRIVES
+  });
+  return {
+    files: response.data.files || [],
+    nextPageToken: response.data.nextPageToken || null,
+    scopeTruncated: scope.truncated
+  };
+}
+
+// Keys of the model's answer and the filters they become
+const INTERPRETED_FILTERS = {
+  keywords: 'name',
+  fullText: 'fullText',
+  type: 'type',
+  modifiedAfter: 'modifiedAfter',
+  modifiedBefore: 'modifiedBefore',
+  createdAfter: 'createdAfter',
+  owner: 'owner',
+  starred: 'starred'
+};
+
+function buildInterpretPrompt(now) {
+  return `Turn a request to find files in Google Drive into search filters. Now is ${now.toISOString()} (a ${now.toLocaleDateString('en-US', { weekday: 'long' })}); weeks start on Monday.
+Reply with ONLY JSON, leaving out every key the request doesn't mention:
+{"keywords": "<words the file name contains>", "fullText": "<words the file content contains>", "type": "<one of ${Object.keys(TYPE_CATEGORIES).join(', ')}>", "folder": "<folder name or path>", "includeSubfolders": <true unless only the folder itself is meant>, "modifiedAfter": "<ISO 8601>", "modifiedBefore": "<ISO 8601>", "createdAfter": "<ISO 8601>", "owner": "<me or an email address>", "starred": <true or false>}
+Use keywords only for words that are part of the name, not for the file type, folder or dates. Edits are modifications.`;
+}
+
+// Resolves with { filters, folderPath, notes }: filters as accepted by searchFiles, the
+// path of the folder searched (or null) and notes about parts that couldn't be used.
+async function interpretSearch(llm, drive, request, { includeShared = false, driveReader } = {}) {
+  const { content } = await llm.complete({
+    messages: [
+      { role: 'system', content: buildInterpretPrompt(new Date()) },
+      { role: 'user', content: request }
+    ],
+    temperature: 0
+  });
+
+  const filters = {};
+  const notes = [];
+  let answer = null;
+  const json = content.match(/\{[\s\S]*\}/);
+  try { answer = json ? JSON.parse(json[0]) : null; } catch {}
+  if (!answer || typeof answer !== 'object') {
+    // Better to search for the words than to fail the request
+    notes.push('The request could not be turned into filters, so file contents were searched for it');
+    return { filters: { fullText: request.slice(0, MAX_TEXT_LENGTH) }, folderPath: null, notes };
+  }
+
+  for (const [key, filterKey] of Object.entries(INTERPRETED_FILTERS)) {
+    if (answer[key] === undefined || answer[key] === null || answer[key] === '') continue;
+    try {
+      filters[filterKey] = normalizeFilters({ [filterKey]: answer[key] })[filterKey];
+    } catch (error) {
+      notes.push(`Ignored ${key}: ${error.message}`);
+    }
+  }
+
+  let folderPath = null;
+  if (answer.folder) {
+    const candidates = await getFolderCandidates(drive, { includeShared, driveReader });
+    const folder = resolveFolderAnswer(candidates, String(answer.folder));
+    if (folder) {
+      filters.folderId = folder.id;
+      filters.includeDescendants = answer.includeSubfolders !== false;
+      folderPath = folder.path;
+    } else {
+      notes.push(`No folder "${answer.folder}" was found, so all folders were searched`);
+    }
+  }
+  return { filters, folderPath, notes };
+}
+
+module.exports = { TYPE_CATEGORIES, SORT_ORDERS, normalizeFilters, buildSearchQuery, searchFiles, interpretSearch };
@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const session = require('express-session');
+const { dataPath } = require('./data-dir');
+
+// Session storage. Sessions outlive restarts and redeploys unless SESSION_STORE=memory:
+//   file   (default) one JSON file per session in SESSION_DIR (default: DATA_DIR/sessions)
+//   redis  any Redis-compatible server at REDIS_URL (needs the optional `redis` package)
+//   memory express-session's MemoryStore, for local development only
+// OAuth tokens inside a stored session are encrypted with AES-256-GCM, using a key derived
+// from TOKEN_ENCRYPTION_KEY (or SESSION_SECRET), so a leaked session file or Redis dump
+// does not expose Drive access.
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const TOKEN_FORMAT = 'v1';
+
+function createTokenCipher(secret) {
+  const key = Buffer.from(crypto.hkdfSync('sha256', secret, 'gdrive-organizer', 'oauth-tokens', 32));
+
+  return {
+    encrypt(value) {
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+      const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+      return [TOKEN_FORMAT, iv.toString('base64'), cipher.getAuthTag().toString('base64'), data.toString('base64')].join(':');
+    },
+    decrypt(payload) {
+      const [format, iv, tag, data] = String(payload).split(':');
+      if (format !== TOKEN_FORMAT) throw new Error('Unknown token format');
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(tag, 'base64'));
+      return JSON.parse(Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8'));
+    }
+  };
+}
+
+// Serialize a session for storage with its tokens encrypted
+function encodeSession(cipher, sess) {
+  const { tokens, ...rest } = sess;
+  return JSON.stringify(tokens ? { ...rest, tokens: cipher.encrypt(tokens) } : rest);
+}
+
+// Tokens that no longer decrypt (e.g. the secret changed) are dropped: the user signs in again
+function decodeSession(cipher, raw) {
+  const sess = JSON.parse(raw);
+  if (sess.tokens) {
+    try {
+      sess.tokens = cipher.decrypt(sess.tokens);
+    } catch (error) {
+      console.warn('[Session] Could not decrypt stored tokens:', error.message);
+      delete sess.tokens;
+    }
+  }
+  return sess;
+}
+
+function expiresAt(sess) {
+  const expires = sess?.cookie?.expires ? Date.parse(sess.cookie.expires) : NaN;
+  return Number.isNaN(expires) ? Date.now() + DEFAULT_TTL_MS : expires;
+}
+
+class FileStore extends session.Store {
+  constructor({ dir, cipher }) {
+    super();
+    this.dir = dir;
+    this.cipher = cipher;
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+    this.pruneTimer.unref();
+  }
+
+  // Session IDs come from cookies; hash them so they can never form a path
+  file(sid) {
+    return path.join(this.dir, `${crypto.createHash('sha256').update(sid).digest('hex')}.json`);
+  }
+
+  get(sid, cb) {
+    fs.readFile(this.file(sid), 'utf8', (err, raw) => {
+      if (err) return cb(err.code === 'ENOENT' ? null : err, null);
+      try {
+        const { expires, data } = JSON.parse(raw);
+        if (expires < Date.now()) return this.destroy(sid, () => cb(null, null));
+        cb(null, decodeSession(this.cipher, data));
+      } catch (error) {
+        cb(error);
+      }
+    });
+  }
+
+  set(sid, sess, cb = () => {}) {
+    const file = this.file(sid);
+    // A unique name per write, so concurrent saves of one session never share a temp file
+    const tmp = `${file}.${crypto.randomUUID()}.tmp`;
+    const record = JSON.stringify({ expires: expiresAt(sess), data: encodeSession(this.cipher, sess) });
+    // Write then rename, so a crash never leaves a half-written session
+    fs.writeFile(tmp, record, { mode: 0o600 }, (err) => {
+      if (err) return cb(err);
+      fs.rename(tmp, file, cb);
+    });
+  }
+
+  touch(sid, sess, cb) {
+    this.set(sid, sess, cb);
+  }
+
+  destroy(sid, cb = () => {}) {
+    fs.unlink(this.file(sid), err => cb(err && err.code !== 'ENOENT' ? err : null));
+  }
+
+  prune() {
+    fs.readdir(this.dir, (err, names) => {
+      if (err) return;
+      for (const name of names.filter(n => n.endsWith('.json'))) {
+        const file = path.join(this.dir, name);
+        fs.readFile(file, 'utf8', (readErr, raw) => {
+          if (readErr) return;
+          try {
+            if (JSON.parse(raw).expires < Date.now()) fs.unlink(file, () => {});
+          } catch {
+            fs.unlink(file, () => {});
+          }
+        });
+      }
+    });
+  }
+}
+
+class RedisStore extends session.Store {
+  constructor({ url, cipher, prefix = 'sess:' }) {
+    super();
+    let redis;
+    try {
+      redis = require('redis');
+    } catch {
+      throw new Error('SESSION_STORE=redis needs the "redis" package (npm install redis)');
+    }
+    this.cipher = cipher;
+    this.prefix = prefix;
+    this.client = redis.createClient({ url });
+    this.client.on('error', error => console.error('[Session] Redis error:', error.message));
+    this.ready = this.client.connect();
+  }
+
+  ttlSeconds(sess) {
+    return Math.max(1, Math.ceil((expiresAt(sess) - Date.now()) / 1000));
+  }
+
+  run(promise, cb = () => {}) {
+    this.ready.then(() => promise()).then(result => cb(null, result), cb);
+  }
+
+  get(sid, cb) {
+    this.run(async () => {
+      const raw = await this.client.get(this.prefix + sid);
+      return raw ? decodeSession(this.cipher, raw) : null;
+    }, cb);
+  }
+
+  set(sid, sess, cb) {
+    this.run(() => this.client.set(this.prefix + sid, encodeSession(this.cipher, sess), { EX: this.ttlSeconds(sess) }), cb);
+  }
+
+  touch(sid, sess, cb) {
+    this.run(() => this.client.expire(this.prefix + sid, this.ttlSeconds(sess)), cb);
+  }
+
+  destroy(sid, cb) {
+    this.run(() => this.client.del(this.prefix + sid), cb);
+  }
+}
+
+function createSessionStore(env, { secret }) {
+  const type = env.SESSION_STORE || (env.REDIS_URL ? 'redis' : 'file');
+  const cipher = createTokenCipher(env.TOKEN_ENCRYPTION_KEY || secret);
+
+  if (type === 'memory') return { type, store: new session.MemoryStore() };
+  if (type === 'redis') {
+    if (!env.REDIS_URL) throw new Error('SESSION_STORE=redis requires REDIS_URL');
+    return { type, store: new RedisStore({ url: env.REDIS_URL, cipher }) };
+  }
+  if (type === 'file') {
+    const dir = env.SESSION_DIR || dataPath('sessions', env);
+    return { type, store: new FileStore({ dir, cipher }) };
+  }
+  throw new Error(`Unknown SESSION_STORE "${type}" (use file, redis or memory)`);
+}
+
+module.exports = { createSessionStore, createTokenCipher };
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveFolderAnswer } = require('../matching');
+
+const candidates = [
+  { id: 'f1', name: 'Invoices', path: 'Finance/Invoices' },
+  { id: 'f2', name: 'Invoices', path: 'Clients/Acme/Invoices' },
+  { id: 'f3', name: 'Taxes', path: 'Finance/Taxes' }
+];
+
+test('resolveFolderAnswer matches by ID, including an echoed "ID<tab>path" line', () => {
+  assert.strictEqual(resolveFolderAnswer(candidates, 'f2'), candidates[1]);
+  assert.strictEqual(resolveFolderAnswer(candidates, 'f3\tFinance/Taxes'), candidates[2]);
+});
+
+test('resolveFolderAnswer matches by full path, ignoring case and outer slashes', () => {
+  assert.strictEqual(resolveFolderAnswer(candidates, '/finance/invoices/'), candidates[0]);
+  assert.strictEqual(resolveFolderAnswer(candidates, 'Clients/Acme/Invoices'), candidates[1]);
+});
+
+test('resolveFolderAnswer matches a bare name only when it is unique', () => {
+  assert.strictEqual(resolveFolderAnswer(candidates, 'taxes'), candidates[2]);
+  assert.strictEqual(resolveFolderAnswer(candidates, 'Invoices'), null);
+});
+
+test('resolveFolderAnswer returns null for folders that are not candidates', () => {
+  assert.strictEqual(resolveFolderAnswer(candidates, 'f4'), null);
+  assert.strictEqual(resolveFolderAnswer(candidates, 'Finance'), null);
+  assert.strictEqual(resolveFolderAnswer(candidates, 'f1x'), null);
+});
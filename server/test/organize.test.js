@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const organize = require('../organize');
+const actions = require('../actions');
+const driveOps = require('../drive');
+const { FOLDER_MIME_TYPE } = driveOps;
+
+// In-memory Drive with just the calls organizing makes. Loose files sit in 'root'.
+function fakeDrive() {
+  const files = new Map([
+    ['fin', { id: 'fin', name: 'Finance', mimeType: FOLDER_MIME_TYPE, parents: ['root'] }],
+    ['f1', { id: 'f1', name: 'invoice.pdf', mimeType: 'application/pdf', parents: ['root'] }],
+    ['f2', { id: 'f2', name: 'notes.txt', mimeType: 'text/plain', parents: ['root'] }],
+    ['f3', { id: 'f3', name: 'misc.bin', mimeType: 'application/octet-stream', parents: ['root'] }]
+  ]);
+  let created = 0;
+  const data = (file) => ({ data: { ...file } });
+
+  return {
+    files: {
+      async list({ q }) {
+        const parent = q.match(/'([^']+)' in parents/)?.[1];
+        const list = [...files.values()].filter(file => !file.trashed
+          && (!parent || file.parents.includes(parent))
+          && (!q.includes(`mimeType='${FOLDER_MIME_TYPE}'`) || file.mimeType === FOLDER_MIME_TYPE)
+          && (!q.includes(`mimeType != '${FOLDER_MIME_TYPE}'`) || file.mimeType !== FOLDER_MIME_TYPE));
+        return { data: { files: list.map(file => ({ ...file })) } };
+      },
+      async get({ fileId }) {
+        return data(files.get(fileId));
+      },
+      async create({ resource }) {
+        const folder = { id: `new${++created}`, name: resource.name, mimeType: resource.mimeType, parents: resource.parents || ['root'] };
+        files.set(folder.id, folder);
+        return data(folder);
+      },
+      async update({ fileId, addParents, removeParents, requestBody = {} }) {
+        const file = files.get(fileId);
+        if (addParents) {
+          file.parents = [...file.parents.filter(id => !removeParents.split(',').includes(id)), ...addParents.split(',')];
+        }
+        Object.assign(file, requestBody);
+        return data(file);
+      }
+    },
+    drives: { list: async () => ({ data: { drives: [] } }) },
+    state: files
+  };
+}
+
+// Existing folder for invoices, a new one for notes, nothing for the rest
+const llm = {
+  isConfigured: () => true,
+  async complete({ messages }) {
+    const [system, user] = messages;
+    if (user.content.includes('invoice.pdf')) return { content: 'fin' };
+    if (user.content.includes('notes.txt') && system.content.startsWith('No existing folder')) {
+      return { content: '{"parentId": "root", "name": "Notes"}' };
+    }
+    return { content: 'NONE' };
+  }
+};
+
+async function until(job, ...statuses) {
+  for (let i = 0; i < 1000 && !statuses.includes(job.status); i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  assert.ok(statuses.includes(job.status), `job is ${job.status}`);
+}
+
+function start(drive, options = {}) {
+  return organize.startJob({ llm, drive, driveReader: driveOps, sessionId: 's1', account: 'a@example.com', accountId: 'acc1', allowNewFolder: true, ...options });
+}
+
+const parentsOf = (drive, id) => drive.state.get(id).parents;
+const rejectsWithConflict = (fn) => assert.rejects(fn, error => error.status === 409);
+
+test('a job scans, plans, applies, journals once and undoes', async () => {
+  const drive = fakeDrive();
+  const session = {};
+  const job = start(drive);
+  assert.throws(() => organize.applyJob(job, ['f1'], drive), error => error.status === 409);
+
+  await until(job, 'planned');
+  const items = Object.fromEntries(job.items.map(item => [item.id, item]));
+  assert.deepStrictEqual(items.f1.suggestion, { folderId: 'fin', path: 'Finance' });
+  assert.deepStrictEqual(items.f2.suggestion, { isNew: true, name: 'Notes', parentId: 'root', path: 'Notes' });
+  assert.strictEqual(items.f3.status, 'unmatched');
+  assert.strictEqual(job.drive, undefined);
+  await rejectsWithConflict(() => organize.undoJob(job, drive, session));
+
+  // Unmatched items can't be smuggled into the selection
+  organize.applyJob(job, ['f1', 'f2', 'f3'], drive);
+  assert.throws(() => organize.applyJob(job, ['f1'], drive), error => error.status === 409);
+  await until(job, 'applied');
+  assert.deepStrictEqual(parentsOf(drive, 'f1'), ['fin']);
+  const notes = [...drive.state.values()].find(file => file.name === 'Notes');
+  assert.deepStrictEqual(parentsOf(drive, 'f2'), [notes.id]);
+  assert.deepStrictEqual(parentsOf(drive, 'f3'), ['root']);
+  assert.deepStrictEqual(job.items.map(item => item.status), ['applied', 'applied', 'unmatched']);
+
+  assert.deepStrictEqual(job.journalEntry.steps.map(step => step.type), ['move_file', 'create_folder', 'move_file']);
+  organize.journalJob(job, session);
+  organize.journalJob(job, session);
+  assert.deepStrictEqual(session.actionJournal.map(entry => entry.type), ['organize_files']);
+  assert.strictEqual(organize.serializeJob(job).actionId, job.journalEntry.id);
+
+  assert.deepStrictEqual(await organize.undoJob(job, drive, session), []);
+  assert.strictEqual(job.status, 'undone');
+  assert.strictEqual(session.actionJournal[0].status, 'undone');
+  assert.deepStrictEqual(job.items.map(item => item.status), ['undone', 'undone', 'unmatched']);
+  assert.deepStrictEqual(parentsOf(drive, 'f1'), ['root']);
+  assert.deepStrictEqual(parentsOf(drive, 'f2'), ['root']);
+  assert.strictEqual(notes.trashed, true);
+  await rejectsWithConflict(() => organize.undoJob(job, drive, session));
+});
+
+test('a run undone from the journal leaves nothing for the job to undo', async () => {
+  const drive = fakeDrive();
+  const session = {};
+  const job = start(drive, { allowNewFolder: false });
+  await until(job, 'planned');
+  organize.applyJob(job, ['f1'], drive);
+  await until(job, 'applied');
+
+  organize.journalJob(job, session);
+  await actions.undoAction(drive, session, actions.findAction(session, job.journalEntry.id));
+  assert.deepStrictEqual(parentsOf(drive, 'f1'), ['root']);
+
+  drive.files.update = async () => assert.fail('nothing left to undo');
+  assert.deepStrictEqual(await organize.undoJob(job, drive, session), []);
+  assert.strictEqual(job.status, 'undone');
+});
+
+test('only running jobs can be cancelled, and jobs belong to their session', async () => {
+  const drive = fakeDrive();
+  const job = start(drive);
+  assert.strictEqual(organize.getJob(job.id, 's1'), job);
+  assert.strictEqual(organize.getJob(job.id, 's2'), null);
+
+  organize.cancelJob(job);
+  await until(job, 'cancelled');
+  assert.throws(() => organize.cancelJob(job), error => error.status === 409);
+  assert.throws(() => organize.applyJob(job, [], drive), error => error.status === 409);
+
+  const view = organize.serializeJob(job);
+  for (const hidden of ['drive', 'driveReader', 'sessionId', 'account', 'journalEntry']) {
+    assert.ok(!(hidden in view), `${hidden} is not sent to the client`);
+  }
+});
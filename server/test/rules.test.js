@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Each test file runs in its own process, so the store can point at a scratch file
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rules-test-'));
+process.env.RULES_FILE = path.join(dir, 'rules.json');
+const rules = require('../rules');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const upload = (fileName, extra = {}) => ({ fileName, mimeType: '', size: 1000, hintText: '', ...extra });
+const matches = (accountId, file) => rules.evaluateRules(accountId, file)?.folderId || null;
+
+test('nameGlob matches the whole name and treats other characters literally', () => {
+  rules.createRule('glob', { conditions: { nameGlob: '*invoice?.xlsx' }, folderId: 'invoices' });
+
+  assert.strictEqual(matches('glob', upload('March INVOICE1.xlsx')), 'invoices');
+  assert.strictEqual(matches('glob', upload('invoice1.xlsx.bak')), null);
+  assert.strictEqual(matches('glob', upload('invoice1Xxlsx')), null);
+});
+
+test('every condition that is set must match', () => {
+  rules.createRule('all', {
+    conditions: { extensions: '.PDF, png', hintKeywords: ['receipt'], minSize: 100, maxSize: 5000, mimeType: 'application/*' },
+    folderId: 'receipts'
+  });
+
+  const file = upload('scan.pdf', { mimeType: 'application/pdf', hintText: 'Lunch Receipt' });
+  assert.strictEqual(matches('all', file), 'receipts');
+  assert.strictEqual(matches('all', { ...file, fileName: 'scan.docx' }), null);
+  assert.strictEqual(matches('all', { ...file, hintText: 'lunch' }), null);
+  assert.strictEqual(matches('all', { ...file, size: 99 }), null);
+  assert.strictEqual(matches('all', { ...file, size: 5001 }), null);
+  assert.strictEqual(matches('all', { ...file, mimeType: 'image/png' }), null);
+});
+
+test('nameRegex and fileType are case-insensitive', () => {
+  rules.createRule('regex', { conditions: { nameRegex: '^scan_\\d+', fileType: 'spreadsheet' }, folderId: 'scans' });
+
+  assert.strictEqual(matches('regex', upload('SCAN_12.xlsx')), 'scans');
+  assert.strictEqual(matches('regex', upload('scan_12.pdf')), null);
+  assert.strictEqual(matches('regex', upload('my scan_12.xlsx')), null);
+});
+
+test('the first enabled matching rule wins and rules are per account', () => {
+  const first = rules.createRule('order', { conditions: { extensions: ['csv'] }, folderId: 'first' });
+  rules.createRule('order', { conditions: { extensions: ['csv'] }, folderId: 'second' });
+
+  assert.strictEqual(matches('order', upload('data.csv')), 'first');
+  rules.updateRule('order', first.id, { enabled: false });
+  assert.strictEqual(matches('order', upload('data.csv')), 'second');
+  assert.strictEqual(matches('someone-else', upload('data.csv')), null);
+});
+
+test('rules are saved to RULES_FILE', () => {
+  const saved = JSON.parse(fs.readFileSync(process.env.RULES_FILE, 'utf8'));
+  assert.deepStrictEqual(saved.order.map(rule => rule.folderId), ['first', 'second']);
+});
+
+test('invalid conditions are rejected', () => {
+  const rejects = (conditions, message) => assert.throws(
+    () => rules.createRule('invalid', { conditions, folderId: 'x' }),
+    error => error.status === 400 && message.test(error.message)
+  );
+
+  rejects({}, /at least one condition/);
+  rejects({ nameRegex: '(' }, /Invalid regular expression/);
+  rejects({ nameGlob: '*'.repeat(201) }, /too long/);
+  rejects({ minSize: -1 }, /number of bytes/);
+  assert.throws(() => rules.createRule('invalid', { conditions: { nameGlob: '*' } }), /destination folder/);
+  assert.deepStrictEqual(rules.listRules('invalid'), []);
+});
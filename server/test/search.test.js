@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeFilters, buildSearchQuery } = require('../search');
+
+test('buildSearchQuery escapes quotes and backslashes in every value', () => {
+  const query = buildSearchQuery({
+    name: "it's",
+    fullText: "a\\' or name contains '",
+    mimeType: "text/plain' or '1'='1",
+    owner: "o'brien@example.com"
+  }, ["fold'er"]);
+
+  assert.strictEqual(query, [
+    'trashed=false',
+    "name contains 'it\\'s'",
+    "fullText contains 'a\\\\\\' or name contains \\''",
+    "mimeType = 'text/plain\\' or \\'1\\'=\\'1'",
+    "'fold\\'er' in parents",
+    "'o\\'brien@example.com' in owners"
+  ].join(' and '));
+});
+
+test('buildSearchQuery groups categories and folder scopes', () => {
+  const query = buildSearchQuery(normalizeFilters({ type: 'pdf', starred: 'true' }), ['a', 'b']);
+  assert.strictEqual(query, "trashed=false and mimeType = 'application/pdf' and ('a' in parents or 'b' in parents) and starred = true");
+
+  assert.strictEqual(buildSearchQuery(normalizeFilters({ type: 'image' })), "trashed=false and mimeType contains 'image/'");
+});
+
+test('normalizeFilters rejects values that are not filters', () => {
+  const rejects = (input, message) => assert.throws(() => normalizeFilters(input), error => {
+    assert.strictEqual(error.status, 400);
+    assert.match(error.message, message);
+    return true;
+  });
+
+  rejects({ type: "pdf' or '" }, /Unknown type/);
+  rejects({ sort: 'size' }, /Unknown sort/);
+  rejects({ modifiedAfter: 'yesterday' }, /ISO 8601/);
+  rejects({ owner: "x' in owners or '" }, /owner must be/);
+  rejects({ starred: 'yes' }, /true or false/);
+  rejects({ pageSize: 101 }, /pageSize/);
+  rejects({ name: 'x'.repeat(201) }, /longer than/);
+});
+
+test('normalizeFilters fills in defaults and normalizes dates', () => {
+  assert.deepStrictEqual(normalizeFilters({ name: '  report ', modifiedAfter: '2024-01-02' }), {
+    name: 'report',
+    modifiedAfter: '2024-01-02T00:00:00.000Z',
+    includeDescendants: false,
+    sort: 'modified',
+    pageSize: 50
+  });
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const { createSessionStore, createTokenCipher } = require('../sessions');
+
+const tokens = { access_token: 'ya29.secret', refresh_token: '1//refresh', expiry_date: 1700000000000 };
+
+function fileStore(dir, secret) {
+  const { store } = createSessionStore({ SESSION_DIR: dir }, { secret });
+  return { get: promisify(store.get.bind(store)), set: promisify(store.set.bind(store)) };
+}
+
+test('the token cipher round-trips and never stores plaintext', () => {
+  const cipher = createTokenCipher('secret');
+  const payload = cipher.encrypt(tokens);
+
+  assert.match(payload, /^v1:/);
+  assert.ok(!payload.includes('ya29'));
+  assert.notStrictEqual(cipher.encrypt(tokens), payload);
+  assert.deepStrictEqual(cipher.decrypt(payload), tokens);
+});
+
+test('the token cipher rejects tampered payloads, other keys and unknown formats', () => {
+  const cipher = createTokenCipher('secret');
+  const [format, iv, tag, data] = cipher.encrypt(tokens).split(':');
+  const flipped = Buffer.from(data, 'base64');
+  flipped[0] ^= 1;
+
+  assert.throws(() => cipher.decrypt([format, iv, tag, flipped.toString('base64')].join(':')));
+  assert.throws(() => createTokenCipher('other secret').decrypt([format, iv, tag, data].join(':')));
+  assert.throws(() => cipher.decrypt(['v0', iv, tag, data].join(':')), /Unknown token format/);
+});
+
+test('the file store encrypts tokens on disk and drops them when the secret changes', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const sess = { cookie: { expires: new Date(Date.now() + 60000).toISOString() }, tokens, email: 'a@example.com' };
+  const store = fileStore(dir, 'secret');
+  await store.set('sid', sess);
+
+  const files = fs.readdirSync(dir);
+  assert.strictEqual(files.length, 1);
+  assert.ok(!files[0].includes('sid'));
+  const raw = fs.readFileSync(path.join(dir, files[0]), 'utf8');
+  assert.ok(!raw.includes('ya29') && !raw.includes('1//refresh'));
+
+  assert.deepStrictEqual(await store.get('sid'), sess);
+
+  t.mock.method(console, 'warn', () => {});
+  const { tokens: dropped, ...rest } = await fileStore(dir, 'new secret').get('sid');
+  assert.strictEqual(dropped, undefined);
+  assert.deepStrictEqual(rest, { cookie: sess.cookie, email: 'a@example.com' });
+});
+
+test('the file store forgets expired sessions', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const store = fileStore(dir, 'secret');
+  await store.set('sid', { cookie: { expires: new Date(Date.now() - 1000).toISOString() }, tokens });
+
+  assert.strictEqual(await store.get('sid'), null);
+  assert.deepStrictEqual(fs.readdirSync(dir), []);
+});
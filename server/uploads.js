@@ -0,0 +1,290 @@
+const crypto = require('crypto');
+const https = require('https');
+const { Transform } = require('stream');
+const actions = require('./actions');
+const { httpError } = require('./errors');
+
+// Streaming uploads to Drive. Nothing is held fully in memory:
+//  - driveStorage() is a multer storage engine that pipes the multipart file straight
+//    into drive.files.create (used by POST /api/upload).
+//  - Resumable uploads proxy Drive's resumable protocol chunk by chunk, so a dropped
+//    connection only loses the current chunk. The client starts a session, PUTs chunks
+//    with Content-Range, and asks for the received offset to resume after a failure.
+//  - Folder uploads first recreate the directory tree (createFolderTree), then upload
+//    each file straight into its folder through either path above (parentId field).
+//
+// Resumable sessions live in memory, keyed by ID and owned by the browser session.
+// Drive keeps its own upload session for a week; ours are pruned after a day. Completed
+// uploads keep their result so a client that lost the final response can fetch it.
+
+const MAX_UPLOAD_BYTES = (parseInt(process.env.MAX_UPLOAD_MB, 10) || 5120) * 1024 * 1024;
+// Drive requires chunks in multiples of 256 KiB (except the last one)
+const CHUNK_SIZE = 8 * 1024 * 1024;
+const MAX_CHUNK_BYTES = 64 * 1024 * 1024;
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_TREE_FOLDERS = 500;
+const DRIVE_UPLOAD_URL = 'https://www.googleapis.com/upload/drive/v3/files?uploadType=resumable&supportsAllDrives=true';
+const FILE_FIELDS = 'id,name,mimeType,size,md5Checksum,webViewLink,parents,driveId';
+
+const uploads = new Map();
+
+function tooLarge(size) {
+  return httpError(413, `File is too large (${Math.round(size / 1024 / 1024)} MB); the limit is ${Math.round(MAX_UPLOAD_BYTES / 1024 / 1024)} MB`);
+}
+
+// Multer storage engine that streams each file into Drive as it arrives. The created
+// Drive file is exposed as req.file.driveFile; req.file.size counts the bytes streamed.
+// A parentId form field sent before the file puts it straight into that folder.
+function driveStorage(getDrive) {
+  return {
+    _handleFile(req, file, cb) {
+      let drive;
+      try {
+        drive = getDrive(req);
+      } catch (error) {
+        return cb(error);
+      }
+
+      let size = 0;
+      const counter = new Transform({
+        transform(chunk, encoding, done) {
+          size += chunk.length;
+          done(null, chunk);
+        }
+      });
+      file.stream.pipe(counter);
+
+      drive.files.create({
+        resource: { name: file.originalname, parents: req.body.parentId ? [req.body.parentId] : undefined },
+        media: { mimeType: file.mimetype, body: counter },
+        fields: FILE_FIELDS,
+        supportsAllDrives: true
+      }).then(
+        response => cb(null, { driveFile: response.data, size }),
+        cb
+      );
+    },
+
+    // Called by multer when the request fails after the file was stored (e.g. size limit hit)
+    _removeFile(req, file, cb) {
+      if (!file.driveFile) return cb(null);
+      getDrive(req).files.delete({ fileId: file.driveFile.id, supportsAllDrives: true }).then(() => cb(null), () => cb(null));
+    }
+  };
+}
+
+// Small promise wrapper around https.request for the resumable protocol.
+// `body` may be a Buffer, a readable stream (piped) or undefined.
+function driveRequest(url, { method, headers, body }) {
+  return new Promise((resolve, reject) => {
+    const req = https.request(url, { method, headers }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString('utf8') }));
+      res.on('error', reject);
+    });
+    req.on('error', reject);
+    if (body && typeof body.pipe === 'function') {
+      // A client that disconnects mid-chunk must not leave Drive waiting for the rest
+      body.on('error', error => req.destroy(error));
+      body.on('aborted', () => req.destroy(new Error('Client disconnected')));
+      body.pipe(req);
+    } else {
+      req.end(body);
+    }
+  });
+}
+
+// Drive reports progress as "Range: bytes=0-<last byte>" (absent when nothing was received)
+function parseReceived(rangeHeader) {
+  const match = /bytes=0-(\d+)/.exec(rangeHeader || '');
+  return match ? Number(match[1]) + 1 : 0;
+}
+
+function pruneUploads() {
+  const cutoff = Date.now() - SESSION_TTL_MS;
+  for (const [id, upload] of uploads) {
+    if (Date.parse(upload.createdAt) < cutoff) uploads.delete(id);
+  }
+}
+
+function getUpload(id, sessionId) {
+  const upload = uploads.get(id);
+  return upload && upload.sessionId === sessionId ? upload : null;
+}
+
+// Client-facing view of an upload (no Drive session URI)
+function serializeUpload(upload) {
+  const { driveUri, sessionId, options, busy, ...rest } = upload;
+  return { ...rest, chunkSize: CHUNK_SIZE };
+}
+
+// Open a Drive resumable session. `options` carries the placement settings
+// (hint, mode, ...) to apply once the last chunk arrives.
+async function startUpload({ oauth2Client, sessionId, name, size, mimeType, parentId, options = {} }) {
+  size = Number(size);
+  if (!name) throw httpError(400, 'File name is required');
+  if (!Number.isSafeInteger(size) || size < 0) throw httpError(400, 'File size is required');
+  if (size > MAX_UPLOAD_BYTES) throw tooLarge(size);
+  pruneUploads();
+
+  const { token } = await oauth2Client.getAccessToken();
+  const metadata = Buffer.from(JSON.stringify({ name, parents: parentId ? [parentId] : undefined }));
+  const res = await driveRequest(DRIVE_UPLOAD_URL, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${token}`,
+      'Content-Type': 'application/json; charset=UTF-8',
+      'Content-Length': metadata.length,
+      'X-Upload-Content-Type': mimeType || 'application/octet-stream',
+      'X-Upload-Content-Length': size
+    },
+    body: metadata
+  });
+  if (res.status !== 200 || !res.headers.location) {
+    throw httpError(502, `Drive refused the upload (${res.status}): ${res.body.slice(0, 200)}`);
+  }
+
+  const upload = {
+    id: crypto.randomUUID(),
+    sessionId,
+    driveUri: res.headers.location,
+    name,
+    size,
+    mimeType: mimeType || 'application/octet-stream',
+    options,
+    received: 0,
+    status: 'uploading',
+    createdAt: new Date().toISOString()
+  };
+  uploads.set(upload.id, upload);
+  return upload;
+}
+
+// Update the upload from Drive's reply to a chunk or status request:
+// 308 = more to come, 200/201 = complete (body is the Drive file), 404/410 = session gone
+function applyDriveResponse(upload, res, failure) {
+  if (res.status === 308) {
+    upload.received = parseReceived(res.headers.range);
+  } else if (res.status === 200 || res.status === 201) {
+    upload.received = upload.size;
+    upload.status = 'complete';
+    upload.file = JSON.parse(res.body);
+  } else if (res.status === 404 || res.status === 410) {
+    upload.status = 'expired';
+    throw httpError(410, 'The upload session expired; start the upload again');
+  } else {
+    throw httpError(502, `${failure} (${res.status})`);
+  }
+  return upload;
+}
+
+// Ask Drive how much it has, so the client can resume from there
+async function refreshStatus(upload) {
+  if (upload.status !== 'uploading' || upload.busy) return upload;
+  const res = await driveRequest(upload.driveUri, {
+    method: 'PUT',
+    headers: { 'Content-Length': 0, 'Content-Range': `bytes */${upload.size}` }
+  });
+  return applyDriveResponse(upload, res, 'Drive status check failed');
+}
+
+// Stream one chunk (the request body) to Drive. `range` is the request's Content-Range
+// header ("bytes <start>-<end>/<total>"). Resolves with the upload; when Drive reports
+// the file complete, upload.status is 'complete' and upload.file holds the Drive file.
+async function uploadChunk(upload, { range, length, body }) {
+  if (upload.status !== 'uploading') throw httpError(409, `Upload is already ${upload.status}`);
+  const match = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(range || '');
+  if (!match) throw httpError(400, 'Content-Range header is required');
+  const [start, end, total] = match.slice(1).map(Number);
+  length = Number(length);
+  if (total !== upload.size || end < start || end >= total || length !== end - start + 1) {
+    throw httpError(400, 'Content-Range does not match the upload');
+  }
+  if (length > MAX_CHUNK_BYTES) throw httpError(413, `Chunks are limited to ${MAX_CHUNK_BYTES / 1024 / 1024} MB`);
+  if (upload.busy) throw httpError(409, 'Another chunk is still being uploaded');
+  if (start !== upload.received) {
+    throw httpError(409, `Expected the chunk starting at byte ${upload.received}`);
+  }
+
+  upload.busy = true;
+  try {
+    const res = await driveRequest(upload.driveUri, {
+      method: 'PUT',
+      headers: { 'Content-Length': length, 'Content-Range': range },
+      body
+    });
+    // On failure Drive may have kept part of the chunk; the client re-syncs via the status endpoint
+    return applyDriveResponse(upload, res, 'Drive rejected the chunk');
+  } finally {
+    upload.busy = false;
+  }
+}
+
+// Store the content of one Drive file as a new version (revision) of another. The source
+// file is left in place. Resolves with the updated target.
+async function addRevisionFrom(drive, sourceFile, targetId) {
+  const content = await drive.files.get({ fileId: sourceFile.id, alt: 'media', supportsAllDrives: true }, { responseType: 'stream' });
+  const response = await drive.files.update({
+    fileId: targetId,
+    media: { mimeType: sourceFile.mimeType, body: content.data },
+    fields: FILE_FIELDS,
+    supportsAllDrives: true
+  });
+  return response.data;
+}
+
+// Split an uploaded relative path ("Project/src/app.js") into safe segments
+function splitRelativePath(relativePath) {
+  return String(relativePath || '').split(/[\\/]+/).filter(part => part && part !== '.' && part !== '..');
+}
+
+// Name of the one top-level folder the directories share ("Project" for ["Project", "Project/src"]).
+// A folder upload places a single folder, so paths under several top-level folders are rejected.
+function folderTreeRoot(directories) {
+  const roots = new Set((Array.isArray(directories) ? directories : []).map(dir => splitRelativePath(dir)[0]).filter(Boolean));
+  if (roots.size === 0) throw httpError(400, 'No folder provided');
+  if (roots.size > 1) throw httpError(400, `Upload one top-level folder at a time (got ${[...roots].map(r => `"${r}"`).join(', ')})`);
+  return [...roots][0];
+}
+
+// Recreate a directory tree under parentId. `directories` are relative paths such as
+// ["Project", "Project/src"]; missing intermediate folders are added. The whole tree is one
+// create_folder_tree action in the journal, however many folders it has, so it can be undone.
+// Resolves with { folders: { [relative path]: folder ID }, action }.
+async function createFolderTree(drive, session, { parentId = 'root', parentName, directories }) {
+  const paths = new Set();
+  for (const dir of directories) {
+    const parts = splitRelativePath(dir);
+    parts.forEach((_, i) => paths.add(parts.slice(0, i + 1).join('/')));
+  }
+  if (paths.size === 0) throw httpError(400, 'No folders to create');
+  if (paths.size > MAX_TREE_FOLDERS) throw httpError(400, `Folder uploads are limited to ${MAX_TREE_FOLDERS} folders`);
+
+  // Parents sort before their children
+  const ordered = [...paths].sort((a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b));
+  const { action, result } = await actions.performAction(drive, session, {
+    type: 'create_folder_tree',
+    source: 'upload',
+    name: folderTreeRoot(ordered),
+    paths: ordered,
+    parentId,
+    parentName
+  });
+  return { folders: result.folders, action };
+}
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  FILE_FIELDS,
+  driveStorage,
+  startUpload,
+  getUpload,
+  serializeUpload,
+  refreshStatus,
+  uploadChunk,
+  addRevisionFrom,
+  splitRelativePath,
+  folderTreeRoot,
+  createFolderTree
+};